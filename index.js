@@ -7,60 +7,313 @@ import path from "path";
 import { fileURLToPath } from "url";
 import bcrypt from "bcryptjs";
 import fs from "fs/promises";
+import { realpathSync } from "fs";
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+import nodemailer from "nodemailer";
+import { parsePhoneNumberFromString } from "libphonenumber-js";
+import busboy from "busboy";
+import sharp from "sharp";
+import { Marked, TextRenderer } from "marked";
+import sanitizeHtml from "sanitize-html";
+import { createMemoryStorage, createSupabaseStorage } from "./storage/index.js";
 
 // 2️⃣ Load environment variables from .env file
-dotenv.config();
-// Initialize Supabase
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+dotenv.config({ quiet: true });
+
+// --- Logging ---
+// One JSON object per line on stdout. Lines written while a request is handled carry its
+// `requestId`. Emails, phone numbers and IPs are replaced by a keyed hash, so lines about the same
+// person still correlate without naming them; passwords, tokens and keys are dropped.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : "info";
+// Without a key (the server refuses to start without one) values are redacted, not hashed. The
+// fallback is derived from ADMIN_TOKEN with HKDF so the session-signing key never keys log hashes.
+const LOG_HASH_KEY =
+  process.env.LOG_HASH_KEY ||
+  (process.env.ADMIN_TOKEN &&
+    Buffer.from(crypto.hkdfSync("sha256", process.env.ADMIN_TOKEN, "", "goftus-log-hash", 32)));
+const LOG_MAX_DEPTH = 6;
+
+const requestContext = new AsyncLocalStorage();
+
+const SECRET_LOG_KEYS = /pass(word)?$|secret|token|authorization|cookie|api_?key|signature/i;
+const HASHED_LOG_KEYS = /^(ip|phone|mobile)$/i;
+const EMAIL_LOG_PATTERN = /[^\s@<>"'(),;:]+@[^\s@<>"'(),;:]+\.[a-z]{2,}/gi;
+const PHONE_LOG_PATTERN = /\+\d[\d\s().-]{6,}\d/g;
+// Signed tokens (`payload.signature`), JWTs, bearer credentials and long hex secrets.
+const TOKEN_LOG_PATTERN = /\bBearer\s+\S+|[\w-]{16,}\.[\w-]{16,}(\.[\w-]+)?|\b[a-f0-9]{32,}\b/gi;
+
+const hashForLog = (value) =>
+  LOG_HASH_KEY
+    ? crypto
+        .createHmac("sha256", LOG_HASH_KEY)
+        .update(String(value).trim().toLowerCase())
+        .digest("hex")
+        .slice(0, 12)
+    : "[redacted]";
+
+const redactLogString = (value) =>
+  value
+    .replace(TOKEN_LOG_PATTERN, "[redacted]")
+    .replace(EMAIL_LOG_PATTERN, (email) => `email:${hashForLog(email)}`)
+    .replace(PHONE_LOG_PATTERN, (phone) => `phone:${hashForLog(phone.replace(/[^\d+]/g, ""))}`);
+
+const redactForLog = (value, key = "", depth = 0) => {
+  if (value === null || value === undefined) return value;
+  if (SECRET_LOG_KEYS.test(key)) return "[redacted]";
+  if (HASHED_LOG_KEYS.test(key) && typeof value !== "object") return `hash:${hashForLog(value)}`;
+  if (typeof value === "string") return redactLogString(value);
+  if (typeof value !== "object") return value;
+  if (depth >= LOG_MAX_DEPTH) return "[truncated]";
+
+  if (value instanceof Error) {
+    return redactForLog(
+      { name: value.name, message: value.message, code: value.code, stack: value.stack },
+      key,
+      depth + 1
+    );
+  }
+  if (Array.isArray(value)) return value.map((item) => redactForLog(item, key, depth + 1));
+  return Object.fromEntries(
+    Object.entries(value).map(([field, item]) => [field, redactForLog(item, field, depth + 1)])
+  );
+};
 
+// Query parameters are matched by name too, so `?token=` and `?email=` never reach the logs.
+const redactUrlForLog = (url) => {
+  const [pathname, query] = String(url).split("?", 2);
+  if (!query) return redactLogString(pathname);
+
+  const params = [...new URLSearchParams(query)].map(
+    ([name, value]) => `${name}=${redactForLog(value, name)}`
+  );
+  return `${redactLogString(pathname)}?${params.join("&")}`;
+};
 
+const writeLog = (level, msg, fields = {}) => {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    requestId: requestContext.getStore()?.requestId,
+    ...redactForLog(fields),
+  };
+  process.stdout.write(`${JSON.stringify(entry)}\n`);
+};
 
-// 🪄 DEBUG: Print your environment variables
-console.log("Loaded environment variables:");
-console.log("MAIL_USER:", process.env.MAIL_USER);
-console.log("MAIL_PASS:", process.env.MAIL_PASS ? "********" : "❌ Not Loaded");
-console.log("RECEIVER_MAIL:", process.env.RECEIVER_MAIL);
-console.log("SUPABASE_URL:", process.env.SUPABASE_URL || "❌ Not Loaded");
-console.log("SUPABASE_KEY:", process.env.SUPABASE_KEY ? "********" : "❌ Not Loaded");
-console.log("PORT:", process.env.PORT || "5000");
+const log = Object.fromEntries(
+  Object.keys(LOG_LEVELS).map((level) => [level, (msg, fields) => writeLog(level, msg, fields)])
+);
+// Initialize storage. Posts, products, banners, contacts and admin users go through the
+// repositories on `db` (see storage/); other tables use `supabase` directly. STORAGE_BACKEND=memory
+// keeps everything in process so the API runs offline; STORAGE_SEED_FILE preloads it.
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || "supabase";
+const STORAGE_BACKENDS = {
+  supabase: () =>
+    createSupabaseStorage(
+      createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+    ),
+  memory: () =>
+    createMemoryStorage({
+      publicUrl: process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`,
+      seedFile: process.env.STORAGE_SEED_FILE,
+    }),
+};
+if (!STORAGE_BACKENDS[STORAGE_BACKEND]) {
+  throw new Error(`Unknown STORAGE_BACKEND: ${STORAGE_BACKEND}`);
+}
+const db = STORAGE_BACKENDS[STORAGE_BACKEND]();
+const supabase = db.client;
 
 // 3️⃣ Create an Express app
 const app = express();
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || "2mb";
+
+// Rate limits key on req.ip, which is the proxy's address unless Express trusts X-Forwarded-For.
+// Set TRUST_PROXY to a hop count ("1"), "true", or a subnet list when deployed behind one.
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+  const hops = /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : null;
+  app.set("trust proxy", hops ?? (TRUST_PROXY === "true" || TRUST_PROXY));
+}
 
 // 4️⃣ Middlewares (to parse JSON and allow cross-origin requests)
+// Every request gets an id (a well-formed X-Request-Id from the caller is kept), echoed back in
+// the response header, and one access log line once the response is done.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+app.use((req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+  res.set("X-Request-Id", requestId);
+
+  res.once("close", () => {
+    const status = res.writableFinished ? res.statusCode : 499;
+    const level = status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+    log[level]("Request completed", {
+      requestId,
+      method: req.method,
+      url: redactUrlForLog(req.originalUrl),
+      status,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+      bytes: Number(res.get("Content-Length")) || undefined,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+  });
+
+  requestContext.run({ requestId }, next);
+});
+
 app.use(cors());
-app.use(express.json({ limit: "50mb" }));
-app.use(express.urlencoded({ extended: true, limit: "50mb" }));
+// The legacy data-URL image upload carries base64 files inside JSON, so it keeps a large limit;
+// registered first, the global parser then sees its body as already parsed.
+app.use("/api/admin/products/upload-image", express.json({ limit: "50mb" }));
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+app.use(express.urlencoded({ extended: true, limit: JSON_BODY_LIMIT }));
 
 const ADMIN_EMAIL = process.env.ADMIN_EMAIL;
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
-const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "goftus-admin-token";
+// No default: a secret committed here would let anyone mint tokens. See REQUIRED_SECRETS.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+const ADMIN_ACCESS_TOKEN_TTL = parseInt(process.env.ADMIN_ACCESS_TOKEN_TTL, 10) || 15 * 60;
+const ADMIN_REFRESH_TOKEN_TTL = parseInt(process.env.ADMIN_REFRESH_TOKEN_TTL, 10) || 7 * 24 * 60 * 60;
+
+// Tokens are `<base64url(json payload)>.<base64url(hmac-sha256)>`, signed with ADMIN_TOKEN.
+const signToken = (payload, secret = ADMIN_TOKEN) => {
+  if (!secret) throw new Error("Token signing secret is not configured");
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  const signature = crypto.createHmac("sha256", secret).update(body).digest("base64url");
+  return `${body}.${signature}`;
+};
 
-const encodeAdminToken = (email) =>
-  `${ADMIN_TOKEN}.${Buffer.from(email).toString("base64")}`;
+const verifyToken = (token, secret = ADMIN_TOKEN) => {
+  if (!secret || typeof token !== "string") return null;
+  const [body, signature] = token.split(".");
+  if (!body || !signature) return null;
+
+  const expected = crypto.createHmac("sha256", secret).update(body).digest("base64url");
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, Buffer.from(expected))) {
+    return null;
+  }
 
-const decodeAdminEmail = (token) => {
-  if (!token.startsWith(`${ADMIN_TOKEN}.`)) return null;
-  const encoded = token.slice(ADMIN_TOKEN.length + 1);
+  let payload;
   try {
-    return Buffer.from(encoded, "base64").toString("utf8");
+    payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
   } catch (err) {
     return null;
   }
+
+  if (!payload || (payload.exp && payload.exp * 1000 <= Date.now())) return null;
+  return payload;
+};
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const issueAdminAccessToken = (email, sessionId) => {
+  const exp = Math.floor(Date.now() / 1000) + ADMIN_ACCESS_TOKEN_TTL;
+  return {
+    token: signToken({ typ: "admin_access", sub: email, sid: sessionId, exp }),
+    expiresAt: new Date(exp * 1000).toISOString(),
+  };
+};
+
+const createAdminSession = async (email) => {
+  const refreshToken = crypto.randomBytes(32).toString("base64url");
+  const { data, error } = await supabase
+    .from("admin_sessions")
+    .insert([
+      {
+        admin_email: email,
+        refresh_token_hash: hashToken(refreshToken),
+        expires_at: new Date(Date.now() + ADMIN_REFRESH_TOKEN_TTL * 1000).toISOString(),
+      },
+    ])
+    .select("id,expires_at")
+    .single();
+
+  if (error) return { error };
+
+  const { token, expiresAt } = issueAdminAccessToken(email, data.id);
+  return {
+    session: {
+      token,
+      expiresAt,
+      refreshToken,
+      refreshExpiresAt: data.expires_at,
+    },
+  };
+};
+
+const revokeAdminSessions = async (email) =>
+  supabase
+    .from("admin_sessions")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("admin_email", email)
+    .is("revoked_at", null);
+
+const findActiveAdminSession = async (sessionId) => {
+  const { data, error } = await supabase
+    .from("admin_sessions")
+    .select("id,admin_email,expires_at,revoked_at")
+    .eq("id", sessionId)
+    .maybeSingle();
+  if (error || !data || data.revoked_at) return null;
+  if (new Date(data.expires_at).getTime() <= Date.now()) return null;
+  return data;
+};
+
+// Permissions granted to each role stored in `admin_users.role`. The env admin is always super_admin.
+const ADMIN_ROLES = {
+  author: ["posts:read", "posts:write", "media:read"],
+  editor: [
+    "posts:read",
+    "posts:write",
+    "posts:publish",
+    "posts:delete",
+    "taxonomy:manage",
+    "products:read",
+    "products:write",
+    "products:delete",
+    "media:read",
+    "media:write",
+    "media:delete",
+  ],
+  marketing: [
+    "posts:read",
+    "products:read",
+    "banners:read",
+    "banners:write",
+    "subscribers:manage",
+    "contacts:read",
+    "contacts:write",
+    "media:read",
+  ],
+  super_admin: ["*"],
+};
+const DEFAULT_ADMIN_ROLE = "author";
+
+const permissionsForRole = (role) => ADMIN_ROLES[role] || [];
+
+const adminCan = (req, permission) => {
+  const permissions = req.adminPermissions || [];
+  return permissions.includes("*") || permissions.includes(permission);
 };
 
 const findAdminByEmail = async (email) => {
   if (!email) return null;
   if (ADMIN_EMAIL && email === ADMIN_EMAIL) {
-    return { email, isSuperAdmin: true };
+    return { email, role: "super_admin", isSuperAdmin: true };
   }
-  const { data, error } = await supabase
-    .from("admin_users")
-    .select("id,email")
-    .eq("email", email)
-    .maybeSingle();
+  const { data, error } = await db.adminUsers.findByEmail(email, "id,email,role");
   if (error || !data) return null;
-  return { ...data, isSuperAdmin: false };
+  const role = ADMIN_ROLES[data.role] ? data.role : DEFAULT_ADMIN_ROLE;
+  return { ...data, role, isSuperAdmin: role === "super_admin" };
 };
 
 const requireAdmin = async (req, res, next) => {
@@ -75,26 +328,40 @@ const requireAdmin = async (req, res, next) => {
     return res.status(401).json({ error: "Unauthorized" });
   }
 
-  const email = decodeAdminEmail(token);
-  const admin = await findAdminByEmail(email);
+  const claims = verifyToken(token);
+  if (!claims || claims.typ !== "admin_access" || !claims.sid) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const session = await findActiveAdminSession(claims.sid);
+  if (!session || session.admin_email !== claims.sub) {
+    return res.status(401).json({ error: "Session expired or revoked" });
+  }
+
+  const admin = await findAdminByEmail(claims.sub);
   if (!admin) {
     return res.status(401).json({ error: "Unauthorized" });
   }
 
   req.adminEmail = admin.email;
+  req.adminRole = admin.role;
+  req.adminPermissions = permissionsForRole(admin.role);
   req.isSuperAdmin = admin.isSuperAdmin;
+  req.adminSessionId = session.id;
   return next();
 };
 
-const requireSuperAdmin = async (req, res, next) => {
+const requirePermission = (permission) => async (req, res, next) => {
   await requireAdmin(req, res, () => {
-    if (!req.isSuperAdmin) {
+    if (!adminCan(req, permission)) {
       return res.status(403).json({ error: "Forbidden" });
     }
     return next();
   });
 };
 
+const requireSuperAdmin = requirePermission("users:manage");
+
 const parsePagination = (req) => {
   const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
   const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 9, 1), 50);
@@ -103,6 +370,704 @@ const parsePagination = (req) => {
   return { page, limit, from, to };
 };
 
+const fetchRowById = async (table, id, columns = "*") => {
+  const { data } = await supabase.from(table).select(columns).eq("id", id).maybeSingle();
+  return data || null;
+};
+
+// --- Request Validation ---
+// A schema maps each writable field to a rule: `type` plus optional `required`, `min`/`max`
+// (length for strings and lists, value for numbers), `values` (enum), `items` (list element
+// rule), `relative` (url may be site-relative), `trim: false` (keep surrounding whitespace,
+// e.g. passwords) and `default` (applied on create only).
+// `ignore` lists read-only fields clients echo back (id, timestamps, joined data); they are
+// dropped silently. Any other field is rejected.
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// A date, optionally with a time and offset: "2025-01-31", "2025-01-31T09:30:00Z".
+const ISO_DATETIME_PATTERN =
+  /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}(?::?\d{2})?)?)?$/i;
+
+const isUrl = (value, { relative = false } = {}) => {
+  if (relative && /^\/(?!\/)/.test(value)) return true;
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const lengthError = (length, { min, max }, unit) => {
+  if (min !== undefined && length < min) return `Must be at least ${min} ${unit}`;
+  if (max !== undefined && length > max) return `Must be at most ${max} ${unit}`;
+  return null;
+};
+
+// Returns `{ value }` (normalized) or `{ error }` for a single non-empty value.
+const checkField = (value, rule) => {
+  switch (rule.type) {
+    case "string":
+    case "slug":
+    case "email":
+    case "url":
+    case "uuid":
+    case "enum": {
+      if (typeof value !== "string") return { error: "Must be a string" };
+      const trimmed = rule.trim === false ? value : value.trim();
+      if (rule.type === "slug" && !SLUG_PATTERN.test(trimmed))
+        return { error: "Must contain only lowercase letters, numbers and single hyphens" };
+      if (rule.type === "email" && !EMAIL_PATTERN.test(trimmed))
+        return { error: "Must be a valid email address" };
+      if (rule.type === "url" && !isUrl(trimmed, rule))
+        return { error: rule.relative ? "Must be an http(s) URL or a /path" : "Must be a URL" };
+      if (rule.type === "uuid" && !UUID_PATTERN.test(trimmed)) return { error: "Must be a UUID" };
+      if (rule.type === "enum" && !rule.values.includes(trimmed))
+        return { error: `Must be one of: ${rule.values.join(", ")}` };
+      const error = lengthError(trimmed.length, rule, "characters");
+      return error ? { error } : { value: trimmed };
+    }
+    case "integer":
+    case "number": {
+      if (typeof value !== "number" || !Number.isFinite(value))
+        return { error: "Must be a number" };
+      if (rule.type === "integer" && !Number.isInteger(value))
+        return { error: "Must be an integer" };
+      if (rule.min !== undefined && value < rule.min) return { error: `Must be >= ${rule.min}` };
+      if (rule.max !== undefined && value > rule.max) return { error: `Must be <= ${rule.max}` };
+      return { value };
+    }
+    case "boolean":
+      return typeof value === "boolean" ? { value } : { error: "Must be true or false" };
+    case "datetime":
+      return typeof value === "string" && ISO_DATETIME_PATTERN.test(value) && isValidDate(value)
+        ? { value: new Date(value).toISOString() }
+        : { error: "Must be an ISO 8601 date" };
+    case "list": {
+      if (!Array.isArray(value)) return { error: "Must be an array" };
+      const items = [];
+      for (const [index, item] of value.entries()) {
+        const result = checkField(item, rule.items);
+        if (result.error) return { error: `Item ${index}: ${result.error}` };
+        items.push(result.value);
+      }
+      const error = lengthError(items.length, rule, "items");
+      return error ? { error } : { value: [...new Set(items)] };
+    }
+    default:
+      throw new Error(`Unknown field type: ${rule.type}`);
+  }
+};
+
+// Returns `{ payload }` with only whitelisted, normalized fields, or `{ errors }` listing every
+// problem as `{ field, message }`. With `partial` (updates) missing required fields are fine.
+const validateBody = (schema, body, { partial = false } = {}) => {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { errors: [{ field: null, message: "Body must be a JSON object" }] };
+  }
+
+  const errors = Object.keys(body)
+    .filter((field) => !(field in schema.fields) && !schema.ignore?.includes(field))
+    .map((field) => ({ field, message: "Unknown field" }));
+  const payload = {};
+
+  for (const [field, rule] of Object.entries(schema.fields)) {
+    const value = body[field];
+    if (value === undefined) {
+      if (partial) continue;
+      if (rule.required) errors.push({ field, message: "Required" });
+      else if (rule.default !== undefined) payload[field] = rule.default;
+      continue;
+    }
+
+    // Empty values clear optional fields; lists and booleans always need a real value.
+    if (value === null || value === "") {
+      if (rule.required) errors.push({ field, message: "Required" });
+      else if (rule.type === "list") payload[field] = [];
+      else if (rule.type === "boolean") errors.push({ field, message: "Must be true or false" });
+      else payload[field] = null;
+      continue;
+    }
+
+    const result = checkField(value, rule);
+    if (result.error) errors.push({ field, message: result.error });
+    else payload[field] = result.value;
+  }
+
+  return errors.length > 0 ? { errors } : { payload };
+};
+
+const sendValidationError = (res, errors) =>
+  res.status(400).json({ error: "Validation failed", fields: errors });
+
+// Postgres constraint violations are client errors: unique -> 409; foreign key, not-null,
+// check and malformed-value errors -> 400. Anything else stays a 500.
+const DB_ERROR_STATUS = { 23505: 409, 23503: 400, 23502: 400, 23514: 400, "22P02": 400 };
+
+const sendDbError = (res, error) => {
+  const status = DB_ERROR_STATUS[error.code] || 500;
+  if (status === 500) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  const field = String(error.details || error.message).match(/Key \(([^)]+)\)/)?.[1] ?? null;
+  const message = status === 409 ? "Already in use" : error.details || error.message;
+  return res
+    .status(status)
+    .json({ error: status === 409 ? "Conflict" : "Invalid value", fields: [{ field, message }] });
+};
+
+// Actions are `<entity_type>.<verb>`. Audit entries are best-effort: a failed insert is
+// logged but never fails the admin request.
+const recordAudit = async (req, action, { entityId = null, before = null, after = null } = {}) => {
+  const { error } = await supabase.from("admin_audit_log").insert([
+    {
+      actor_email: req.adminEmail,
+      action,
+      entity_type: action.split(".")[0],
+      entity_id: entityId === null ? null : String(entityId),
+      before,
+      after,
+    },
+  ]);
+  if (error) {
+    log.error("Audit log error", { err: error });
+  }
+};
+
+const ADMIN_USER_COLUMNS = "id,email,role,created_at";
+
+// Columns that belong to the row rather than its content; ignored when diffing revisions.
+const POST_SYSTEM_FIELDS = [
+  "id",
+  "created_at",
+  "updated_at",
+  "status",
+  "published_at",
+  "search_vector",
+  "content_html",
+  "toc",
+  "word_count",
+  "reading_time_minutes",
+  "auto_excerpt",
+];
+
+const recordPostRevision = async (req, post, event, editorEmail = req.adminEmail) => {
+  const { error } = await supabase.from("post_revisions").insert([
+    {
+      post_id: post.id,
+      event,
+      title: post.title,
+      slug: post.slug,
+      content: post.content ?? null,
+      snapshot: post,
+      editor_email: editorEmail,
+    },
+  ]);
+  if (error) {
+    log.error("Post revision error", { err: error });
+  }
+};
+
+// Posts created before revisions existed have no history; keep their pre-edit state first.
+const ensureBaselineRevision = async (req, post) => {
+  if (!post) return;
+  const { count } = await supabase
+    .from("post_revisions")
+    .select("id", { count: "exact", head: true })
+    .eq("post_id", post.id);
+  if (count === 0) {
+    await recordPostRevision(req, post, "baseline", null);
+  }
+};
+
+const diffLines = (fromText, toText) => {
+  const a = String(fromText ?? "").split("\n");
+  const b = String(toText ?? "").split("\n");
+  const width = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * width);
+
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lcs[i * width + j] =
+        a[i] === b[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: "equal", line: a[i] });
+      i += 1;
+      j += 1;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      lines.push({ type: "removed", line: a[i] });
+      i += 1;
+    } else {
+      lines.push({ type: "added", line: b[j] });
+      j += 1;
+    }
+  }
+  while (i < a.length) lines.push({ type: "removed", line: a[i++] });
+  while (j < b.length) lines.push({ type: "added", line: b[j++] });
+  return lines;
+};
+
+const diffPostSnapshots = (before = {}, after = {}) => {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+  for (const field of fields) {
+    if (POST_SYSTEM_FIELDS.includes(field) || field === "content") continue;
+    if (JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)) {
+      changes.push({ field, from: before[field] ?? null, to: after[field] ?? null });
+    }
+  }
+  return { fields: changes, content: diffLines(before.content, after.content) };
+};
+
+// Only publishers may change these, whether through the publish endpoints or a plain edit.
+const POST_PUBLISHING_FIELDS = ["status", "published_at", "publish_at", "unpublish_at"];
+
+const touchesPublishing = (payload) => POST_PUBLISHING_FIELDS.some((field) => field in payload);
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 60 * 1000;
+
+// Stands in for `req` when the scheduler records revisions and audit entries.
+const SCHEDULER_ACTOR = { adminEmail: "system:scheduler" };
+
+const runPostScheduler = async () => {
+  const now = new Date().toISOString();
+
+  const { data: due, error: publishError } = await db.posts.publishDue(now);
+
+  if (publishError) {
+    log.error("Scheduled publish error", { err: publishError });
+  }
+
+  for (const post of due || []) {
+    await recordPostRevision(SCHEDULER_ACTOR, post, "scheduled_publish");
+    await recordAudit(SCHEDULER_ACTOR, "post.scheduled_publish", {
+      entityId: post.id,
+      after: post,
+    });
+  }
+
+  const { data: expired, error: unpublishError } = await db.posts.unpublishExpired(now);
+
+  if (unpublishError) {
+    log.error("Scheduled unpublish error", { err: unpublishError });
+  }
+
+  for (const post of expired || []) {
+    await recordPostRevision(SCHEDULER_ACTOR, post, "scheduled_unpublish");
+    await recordAudit(SCHEDULER_ACTOR, "post.scheduled_unpublish", {
+      entityId: post.id,
+      after: post,
+    });
+  }
+
+  if ((due || []).length > 0 || (expired || []).length > 0) {
+    invalidatePublicCache("posts");
+  }
+};
+
+const startPostScheduler = () => {
+  const tick = () =>
+    runPostScheduler().catch((err) => log.error("Post scheduler error", { err }));
+  tick();
+  return setInterval(tick, SCHEDULER_INTERVAL_MS);
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// The columns each searchable kind is highlighted from, title first. Matching and ranking happen
+// in the database (see db.search).
+const SEARCH_FIELDS = {
+  post: ["title", "excerpt", "content"],
+  product: ["name", "subtitle", "description"],
+};
+// Admin post/product lists return at most this many of the best search hits.
+const SEARCH_CANDIDATE_LIMIT = 200;
+const SEARCH_SNIPPET_RADIUS = 80;
+
+// Mirrors what `websearch_to_tsquery` treats as positive terms; `-excluded` words are dropped.
+const searchTerms = (q) =>
+  String(q || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter((token) => token && !token.startsWith("-"))
+    .map((token) => token.replace(/[^\p{L}\p{N}]/gu, ""))
+    .filter((token) => token.length > 1 && token !== "or");
+
+const stripMarkup = (value) =>
+  String(value ?? "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/[#*_`>~]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const highlightTerms = (text, terms) => {
+  const escaped = escapeHtml(text);
+  if (terms.length === 0) return escaped;
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+  return escaped.replace(pattern, "<mark>$1</mark>");
+};
+
+const buildSnippet = (text, terms) => {
+  const plain = stripMarkup(text);
+  const lower = plain.toLowerCase();
+  const hits = terms.map((term) => lower.indexOf(term)).filter((index) => index >= 0);
+  const hit = hits.length > 0 ? Math.min(...hits) : 0;
+
+  const start = Math.max(0, hit - SEARCH_SNIPPET_RADIUS);
+  const end = Math.min(plain.length, hit + SEARCH_SNIPPET_RADIUS * 2);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < plain.length ? "…" : "";
+  return highlightTerms(`${prefix}${plain.slice(start, end)}${suffix}`, terms);
+};
+
+const countOccurrences = (text, term) => stripMarkup(text).toLowerCase().split(term).length - 1;
+
+// An HTML-safe snippet from the first body field that mentions a term, plus the highlighted title.
+const describeSearchHit = (row, q, fields) => {
+  const terms = searchTerms(q);
+  const [titleField, ...bodyFields] = fields;
+  const bodyField = bodyFields.find((field) =>
+    terms.some((term) => countOccurrences(row[field], term) > 0)
+  );
+  return {
+    snippet: buildSnippet(row[bodyField || bodyFields.at(-1)], terms),
+    titleHighlight: highlightTerms(row[titleField] || "", terms),
+  };
+};
+
+// The generated tsvector column is an implementation detail of search, not part of a response.
+const withoutSearchVector = ({ search_vector: _searchVector, ...row }) => row;
+
+const slugify = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+// --- Post Rendering ---
+// Post content is Markdown (raw HTML allowed) rendered to sanitized HTML when it is saved; the
+// derived columns below are stored alongside it and never accepted from clients.
+const POST_RENDERED_FIELDS = [
+  "content_html",
+  "toc",
+  "word_count",
+  "reading_time_minutes",
+  "auto_excerpt",
+];
+const READING_WORDS_PER_MINUTE = parseInt(process.env.READING_WORDS_PER_MINUTE, 10) || 200;
+const AUTO_EXCERPT_LENGTH = 280;
+
+const POST_HTML_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, "img", "del", "ins", "input"],
+  allowedAttributes: {
+    a: ["href", "title", "target", "rel"],
+    img: ["src", "alt", "title", "width", "height", "loading"],
+    code: ["class"],
+    th: ["align"],
+    td: ["align"],
+    input: ["type", "checked", "disabled"],
+    ...Object.fromEntries(["h1", "h2", "h3", "h4", "h5", "h6"].map((tag) => [tag, ["id"]])),
+  },
+  allowedClasses: { code: ["language-*"] },
+  allowedSchemes: ["http", "https", "mailto"],
+  transformTags: {
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: attribs.target ? { ...attribs, rel: "noopener noreferrer" } : attribs,
+    }),
+    // Only GFM task-list checkboxes survive; anything else becomes an inert span.
+    input: (tagName, attribs) =>
+      attribs.type === "checkbox"
+        ? { tagName, attribs: { ...attribs, disabled: "" } }
+        : { tagName: "span", attribs: {} },
+  },
+};
+
+const HTML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'", nbsp: " " };
+
+const htmlToText = (html) =>
+  String(html ?? "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_, entity) => HTML_ENTITIES[entity])
+    .replace(/\s+/g, " ")
+    .trim();
+
+const truncateWords = (text, length) => {
+  if (text.length <= length) return text;
+  const cut = text.slice(0, length + 1);
+  const boundary = cut.lastIndexOf(" ");
+  return `${(boundary > length / 2 ? cut.slice(0, boundary) : cut.slice(0, length)).trimEnd()}…`;
+};
+
+// Heading ids are slugs of the heading text, suffixed -1, -2… when a post repeats a heading.
+const renderPostContent = (content) => {
+  const toc = [];
+  const seenIds = new Map();
+  const markdown = new Marked({
+    gfm: true,
+    renderer: {
+      heading({ tokens, depth }) {
+        const text = htmlToText(this.parser.parseInline(tokens, new TextRenderer()));
+        const base = slugify(text) || "section";
+        const seen = seenIds.get(base) || 0;
+        seenIds.set(base, seen + 1);
+        const id = seen > 0 ? `${base}-${seen}` : base;
+
+        toc.push({ level: depth, text, id });
+        return `<h${depth} id="${id}">${this.parser.parseInline(tokens)}</h${depth}>\n`;
+      },
+    },
+  });
+
+  const contentHtml = sanitizeHtml(markdown.parse(String(content ?? "")), POST_HTML_OPTIONS);
+  const text = htmlToText(contentHtml);
+  const wordCount = text ? text.split(" ").length : 0;
+
+  return {
+    content_html: contentHtml,
+    toc,
+    word_count: wordCount,
+    reading_time_minutes: wordCount > 0 ? Math.ceil(wordCount / READING_WORDS_PER_MINUTE) : 0,
+    auto_excerpt: truncateWords(text, AUTO_EXCERPT_LENGTH),
+  };
+};
+
+// Re-renders whenever a write touches `content`.
+const withRenderedContent = (payload) =>
+  "content" in payload ? { ...payload, ...renderPostContent(payload.content) } : payload;
+
+// Rows saved before rendering existed are rendered on the way out; `excerpt` falls back to the
+// generated one so readers always get a summary.
+const withPostRendering = (row) => {
+  const post = withoutSearchVector(row);
+  const rendered =
+    post.content_html == null ? { ...post, ...renderPostContent(post.content) } : post;
+  return { ...rendered, excerpt: rendered.excerpt || rendered.auto_excerpt || null };
+};
+
+// Tags and categories share one admin CRUD shape; `schema` lists the fields admins may set.
+const TAXONOMY_FIELDS = {
+  name: { type: "string", required: true, min: 1, max: 100 },
+  slug: { type: "slug", max: 100 },
+};
+const TAXONOMY_IGNORED_FIELDS = ["id", "created_at", "updated_at", "postCount"];
+
+const TAXONOMIES = {
+  tags: { entity: "tag", schema: { fields: TAXONOMY_FIELDS, ignore: TAXONOMY_IGNORED_FIELDS } },
+  categories: {
+    entity: "category",
+    schema: {
+      fields: { ...TAXONOMY_FIELDS, description: { type: "string", max: 1000 } },
+      ignore: TAXONOMY_IGNORED_FIELDS,
+    },
+  },
+};
+
+// Adds `tags` and `category` to each post. Done with follow-up queries rather than an embedded
+// select so the raw post row stays what revisions and audit entries snapshot.
+const attachPostTaxonomy = async (posts) => {
+  if (posts.length === 0) return posts;
+
+  const postIds = posts.map((post) => post.id);
+  const categoryIds = [...new Set(posts.map((post) => post.category_id).filter(Boolean))];
+
+  const { data: links } = await supabase
+    .from("post_tags")
+    .select("post_id,tag_id")
+    .in("post_id", postIds);
+  const tagIds = [...new Set((links || []).map((link) => link.tag_id))];
+
+  const [{ data: tags }, { data: categories }] = await Promise.all([
+    tagIds.length > 0
+      ? supabase.from("tags").select("id,name,slug").in("id", tagIds)
+      : { data: [] },
+    categoryIds.length > 0
+      ? supabase.from("categories").select("id,name,slug").in("id", categoryIds)
+      : { data: [] },
+  ]);
+
+  const tagsById = new Map((tags || []).map((tag) => [tag.id, tag]));
+  const categoriesById = new Map((categories || []).map((category) => [category.id, category]));
+
+  return posts.map((post) => ({
+    ...post,
+    tags: (links || [])
+      .filter((link) => link.post_id === post.id && tagsById.has(link.tag_id))
+      .map((link) => tagsById.get(link.tag_id)),
+    category: categoriesById.get(post.category_id) || null,
+  }));
+};
+
+// Checked before the post itself is written, so a bad tag id can't leave a half-saved post.
+const unknownTagErrors = async (tagIds) => {
+  if (!Array.isArray(tagIds) || tagIds.length === 0) return { errors: [] };
+
+  const { data, error } = await supabase.from("tags").select("id").in("id", tagIds);
+  if (error) return { error };
+
+  const known = new Set((data || []).map((tag) => tag.id));
+  const unknown = tagIds.filter((tagId) => !known.has(tagId));
+  if (unknown.length === 0) return { errors: [] };
+  return { errors: [{ field: "tag_ids", message: `Unknown tag: ${unknown.join(", ")}` }] };
+};
+
+// Adds missing links before removing stale ones, so a failure never leaves the post untagged.
+const setPostTags = async (postId, tagIds) => {
+  const { data: links, error: fetchError } = await supabase
+    .from("post_tags")
+    .select("tag_id")
+    .eq("post_id", postId);
+  if (fetchError) return { error: fetchError };
+
+  const wanted = new Set(tagIds);
+  const current = new Set((links || []).map((link) => link.tag_id));
+  const rows = [...wanted]
+    .filter((tagId) => !current.has(tagId))
+    .map((tagId) => ({ post_id: postId, tag_id: tagId }));
+  if (rows.length > 0) {
+    const { error } = await supabase.from("post_tags").insert(rows);
+    if (error) return { error };
+  }
+
+  const stale = [...current].filter((tagId) => !wanted.has(tagId));
+  if (stale.length === 0) return {};
+  const { error } = await supabase
+    .from("post_tags")
+    .delete()
+    .eq("post_id", postId)
+    .in("tag_id", stale);
+  return { error };
+};
+
+const BASE_URL = (process.env.BASE_URL || "").replace(/\/+$/, "");
+const BLOG_PATH = process.env.BLOG_PATH || "/blog";
+const PRODUCTS_PATH = process.env.PRODUCTS_PATH || "/products";
+const FEED_TITLE = process.env.FEED_TITLE || "Goftus AI Blog";
+const FEED_DESCRIPTION =
+  process.env.FEED_DESCRIPTION || "Agentic AI, AI products and integrations from Goftus.";
+// "full" puts the whole post body in feed items; anything else sends only the excerpt.
+const FEED_CONTENT = process.env.FEED_CONTENT === "full" ? "full" : "excerpt";
+const FEED_ITEM_LIMIT = parseInt(process.env.FEED_ITEM_LIMIT, 10) || 20;
+const FEED_CACHE_MAX_AGE = parseInt(process.env.FEED_CACHE_MAX_AGE, 10) || 600;
+
+const siteUrl = (pathname = "") => `${BASE_URL}${pathname}`;
+const postUrl = (post) => siteUrl(`${BLOG_PATH}/${encodeURIComponent(post.slug)}`);
+const productUrl = (product) =>
+  siteUrl(`${PRODUCTS_PATH}/${encodeURIComponent(product.slug || product.id)}`);
+
+const postExcerpt = (post, length = 280) => {
+  if (post.excerpt) return post.excerpt;
+  if (post.auto_excerpt) return post.auto_excerpt;
+  const plain = stripMarkup(post.content);
+  return plain.length > length ? `${plain.slice(0, length).trimEnd()}…` : plain;
+};
+
+const postPublishedAt = (post) => new Date(post.published_at || post.created_at);
+const postModifiedAt = (post) =>
+  new Date(post.updated_at || post.published_at || post.created_at);
+
+const latestTimestamp = (rows) =>
+  rows.reduce((latest, row) => {
+    const time = new Date(row.updated_at || row.published_at || 0).getTime();
+    return Number.isNaN(time) ? latest : Math.max(latest, time);
+  }, 0);
+
+// Feeds are cacheable by proxies; Express answers conditional requests with 304 once
+// ETag / Last-Modified match.
+const sendFeed = (res, contentType, body, lastModified) => {
+  res.set("Content-Type", contentType);
+  res.set("Cache-Control", `public, max-age=${FEED_CACHE_MAX_AGE}`);
+  if (lastModified) {
+    res.set("Last-Modified", new Date(lastModified).toUTCString());
+  }
+  return res.send(body);
+};
+
+const fetchFeedPosts = async () => {
+  const { data, error } = await db.posts.listPublic({ limit: FEED_ITEM_LIMIT });
+  if (error) return { error };
+  return { posts: await attachPostTaxonomy((data || []).map(withPostRendering)) };
+};
+
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+const bannerState = (banner, now = Date.now()) => {
+  if (!banner.is_active) return "inactive";
+  if (banner.starts_at && new Date(banner.starts_at).getTime() > now) return "upcoming";
+  if (banner.ends_at && new Date(banner.ends_at).getTime() <= now) return "expired";
+  return "live";
+};
+
+const isTargetedBanner = (banner) =>
+  (banner.target_paths || []).length > 0 || (banner.target_products || []).length > 0;
+
+const normalizePath = (value) => {
+  const trimmed = String(value || "").trim().replace(/\/+$/, "");
+  return trimmed.startsWith("/") ? trimmed : `/${trimmed}`;
+};
+
+// Path targets match exactly, or by prefix when they end in `*` (e.g. `/products/*`).
+const bannerMatchesPage = (banner, { path, product }) => {
+  if (!isTargetedBanner(banner)) return true;
+
+  if (path) {
+    const current = normalizePath(path);
+    const pathMatch = (banner.target_paths || []).some((target) =>
+      target.endsWith("*")
+        ? current.startsWith(normalizePath(target.slice(0, -1)))
+        : current === normalizePath(target)
+    );
+    if (pathMatch) return true;
+  }
+
+  return Boolean(product && (banner.target_products || []).includes(product));
+};
+
+// Live banners for a page, best first: higher priority, then targeted over site-wide, then newest.
+// `nextChangeAt` is when the next scheduled banner starts or a live one ends, so cached answers
+// can expire exactly then.
+const findLiveBanners = async ({ path, product }) => {
+  const now = Date.now();
+  const { data, error } = await db.banners.listActive(new Date(now).toISOString());
+
+  if (error) return { error };
+
+  const changes = (data || [])
+    .flatMap((banner) => [banner.starts_at, banner.ends_at])
+    .map((value) => (value ? new Date(value).getTime() : NaN))
+    .filter((time) => time > now);
+  const nextChangeAt = changes.length > 0 ? Math.min(...changes) : null;
+
+  const banners = (data || [])
+    .filter((banner) => bannerState(banner, now) === "live")
+    .filter((banner) => bannerMatchesPage(banner, { path, product }))
+    .sort(
+      (a, b) =>
+        (b.priority || 0) - (a.priority || 0) ||
+        Number(isTargetedBanner(b)) - Number(isTargetedBanner(a))
+    );
+  return { banners, nextChangeAt };
+};
+
 const RESEND_API_KEY = process.env.RESEND_API_KEY;
 const RESEND_FROM = process.env.RESEND_FROM;
 
@@ -111,12 +1076,12 @@ const readFileBase64 = async (filePath) => {
     const data = await fs.readFile(filePath);
     return data.toString("base64");
   } catch (err) {
-    console.error("Attachment read error:", err);
+    log.error("Attachment read error", { err });
     return null;
   }
 };
 
-const sendResendEmail = async ({ to, subject, html, replyTo, attachments }) => {
+const sendResendEmail = async ({ to, subject, html, text, replyTo, attachments }) => {
   if (!RESEND_API_KEY || !RESEND_FROM) {
     return { sent: false, skipped: true, reason: "resend_not_configured" };
   }
@@ -132,6 +1097,10 @@ const sendResendEmail = async ({ to, subject, html, replyTo, attachments }) => {
       html,
     };
 
+    if (text) {
+      body.text = text;
+    }
+
     if (replyTo) {
       body.replyTo = replyTo;
     }
@@ -152,571 +1121,3720 @@ const sendResendEmail = async ({ to, subject, html, replyTo, attachments }) => {
 
     const payload = await response.json().catch(() => null);
     if (!response.ok) {
-      console.error("Resend email error:", payload || response.statusText);
+      log.error("Resend email error", { err: payload || response.statusText });
       return { sent: false, error: payload || response.statusText };
     }
 
     return { sent: true, id: payload?.id };
   } catch (err) {
-    console.error("Resend email error:", err);
+    log.error("Resend email error", { err });
     return { sent: false, error: err?.message || err };
   } finally {
     clearTimeout(timeout);
   }
 };
 
-const sendEmailBestEffort = async ({ to, subject, html, replyTo, attachments }) => {
-  if (process.env.MAIL_DISABLE === "true") {
-    return { sent: false, skipped: true, reason: "mail_disabled" };
+const MAIL_FROM = process.env.MAIL_FROM || RESEND_FROM || process.env.MAIL_USER;
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), "tmp", "mail");
+
+let smtpTransport = null;
+const getSmtpTransport = () => {
+  if (!smtpTransport) {
+    smtpTransport = process.env.MAIL_HOST
+      ? nodemailer.createTransport({
+          host: process.env.MAIL_HOST,
+          port: parseInt(process.env.MAIL_PORT, 10) || 587,
+          secure: process.env.MAIL_SECURE === "true",
+          auth: { user: process.env.MAIL_USER, pass: process.env.MAIL_PASS },
+        })
+      : nodemailer.createTransport({
+          service: process.env.MAIL_SERVICE || "gmail",
+          auth: { user: process.env.MAIL_USER, pass: process.env.MAIL_PASS },
+        });
   }
-
-  return sendResendEmail({ to, subject, html, replyTo, attachments });
+  return smtpTransport;
 };
 
-// --- Blog Admin Auth ---
-app.post("/api/admin/login", async (req, res) => {
-  const { email, username, password } = req.body || {};
-  const candidate = email || username;
-
-  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
-    return res.status(500).json({ error: "Admin credentials not configured" });
+const sendSmtpEmail = async ({ to, subject, html, text, replyTo, attachments }) => {
+  if (!process.env.MAIL_USER || !process.env.MAIL_PASS || !MAIL_FROM) {
+    return { sent: false, skipped: true, reason: "smtp_not_configured" };
   }
 
-  if (candidate === ADMIN_EMAIL && password === ADMIN_PASSWORD) {
-    return res.json({
-      token: encodeAdminToken(candidate),
-      email: candidate,
-      isSuperAdmin: true,
+  try {
+    const info = await getSmtpTransport().sendMail({
+      from: MAIL_FROM,
+      to,
+      subject,
+      html,
+      text,
+      replyTo,
+      attachments: (attachments || []).map((attachment) => ({
+        filename: attachment.filename,
+        content: Buffer.from(attachment.content, "base64"),
+        cid: attachment.contentId,
+      })),
     });
+    return { sent: true, id: info.messageId };
+  } catch (err) {
+    log.error("SMTP email error", { err });
+    return { sent: false, error: err?.message || err };
   }
+};
 
-  const { data, error } = await supabase
-    .from("admin_users")
-    .select("id,email,password_hash")
-    .eq("email", candidate)
-    .maybeSingle();
-
-  if (error || !data) {
-    return res.status(401).json({ error: "Invalid credentials" });
+// Development transport: each message becomes a JSON file under MAIL_OUTBOX_DIR.
+const sendFileEmail = async (message) => {
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+  try {
+    await fs.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+    await fs.writeFile(
+      path.join(MAIL_OUTBOX_DIR, `${id}.json`),
+      JSON.stringify({ from: MAIL_FROM, ...message }, null, 2)
+    );
+    return { sent: true, id };
+  } catch (err) {
+    log.error("File email error", { err });
+    return { sent: false, error: err?.message || err };
   }
+};
 
-  const valid = await bcrypt.compare(password || "", data.password_hash || "");
-  if (!valid) {
-    return res.status(401).json({ error: "Invalid credentials" });
-  }
+// Log lines are redacted, links with tokens included; MAIL_TRANSPORT=file keeps them intact.
+const sendConsoleEmail = async ({ to, subject, text, html }) => {
+  log.info("Email (console transport)", { to, subject, body: text || html });
+  return { sent: true, id: `console-${Date.now()}` };
+};
 
-  return res.json({
-    token: encodeAdminToken(data.email),
-    email: data.email,
-    isSuperAdmin: false,
-  });
+const EMAIL_TRANSPORTS = {
+  resend: sendResendEmail,
+  smtp: sendSmtpEmail,
+  file: sendFileEmail,
+  console: sendConsoleEmail,
+};
+const MAIL_TRANSPORT = EMAIL_TRANSPORTS[process.env.MAIL_TRANSPORT]
+  ? process.env.MAIL_TRANSPORT
+  : "resend";
+
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 8;
+const EMAIL_RETRY_BASE_MS = parseInt(process.env.EMAIL_RETRY_BASE_MS, 10) || 60 * 1000;
+const EMAIL_RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const EMAIL_WORKER_INTERVAL_MS = parseInt(process.env.EMAIL_WORKER_INTERVAL_MS, 10) || 30 * 1000;
+// A row stuck in "sending" this long belongs to a worker that died mid-send.
+const EMAIL_SEND_LOCK_MS = 5 * 60 * 1000;
+
+const describeEmailFailure = (result) => {
+  const reason = result.error || result.reason;
+  return typeof reason === "string" ? reason : reason?.message || JSON.stringify(reason);
+};
+
+// Attachments shipped with the app are stored as `{ asset }` references and read when the email
+// goes out, so outbox rows don't each carry a copy of the file.
+const resolveAttachments = async (attachments) => {
+  const resolved = await Promise.all(
+    (attachments || []).map((attachment) =>
+      attachment.asset ? EMAIL_ASSETS[attachment.asset]?.() : attachment
+    )
+  );
+  return resolved.filter(Boolean);
+};
+
+const outboxMessage = async (row) => ({
+  to: row.to_addresses,
+  subject: row.subject,
+  html: row.html,
+  text: row.text || undefined,
+  replyTo: row.reply_to || undefined,
+  attachments: row.attachments ? await resolveAttachments(row.attachments) : undefined,
 });
 
-// --- Public Blog Endpoints ---
-app.get("/api/posts", async (req, res) => {
-  const { page, limit, from, to } = parsePagination(req);
+// Outbox rows may carry a `context` telling us what else to update once delivery settles.
+const settleOutboxContext = async (row, status, lastError) => {
+  const deliveryId = row.context?.newsletter_delivery_id;
+  if (!deliveryId) return;
+  await supabase
+    .from("newsletter_deliveries")
+    .update({
+      status: status === "sent" ? "sent" : "failed",
+      error: status === "sent" ? null : lastError,
+      sent_at: status === "sent" ? new Date().toISOString() : null,
+    })
+    .eq("id", deliveryId);
+};
 
-  const { data, error, count } = await supabase
-    .from("posts")
-    .select("*", { count: "exact" })
-    .eq("status", "published")
-    .order("published_at", { ascending: false, nullsLast: true })
-    .range(from, to);
+// Delivers a row already claimed as "sending". Failures go back to "pending" with exponential
+// backoff until EMAIL_MAX_ATTEMPTS, after which the row is dead-lettered.
+const deliverOutboxEmail = async (row) => {
+  const transport = EMAIL_TRANSPORTS[row.transport] || EMAIL_TRANSPORTS[MAIL_TRANSPORT];
+  const result = await transport(await outboxMessage(row));
+  const attempts = (row.attempts || 0) + 1;
+
+  if (result.sent) {
+    await supabase
+      .from("email_outbox")
+      .update({
+        status: "sent",
+        attempts,
+        provider_id: result.id || null,
+        last_error: null,
+        sent_at: new Date().toISOString(),
+        locked_at: null,
+      })
+      .eq("id", row.id);
+    await settleOutboxContext(row, "sent");
+    return { ...result, queued: false, id: row.id };
+  }
 
-  if (error) {
-    return res.status(500).json({ error: error.message });
+  const lastError = describeEmailFailure(result);
+  const dead = attempts >= EMAIL_MAX_ATTEMPTS;
+  const delay = Math.min(EMAIL_RETRY_BASE_MS * 2 ** (attempts - 1), EMAIL_RETRY_MAX_MS);
+  await supabase
+    .from("email_outbox")
+    .update({
+      status: dead ? "dead" : "pending",
+      attempts,
+      last_error: lastError,
+      next_attempt_at: new Date(Date.now() + delay).toISOString(),
+      locked_at: null,
+    })
+    .eq("id", row.id);
+
+  if (dead) {
+    await settleOutboxContext(row, "dead", lastError);
   }
+  return { ...result, queued: !dead, id: row.id };
+};
 
-  const totalPages = count ? Math.ceil(count / limit) : 1;
-  return res.json({ posts: data || [], page, totalPages, total: count || 0 });
-});
+// Persists the message to the outbox and makes the first delivery attempt inline, so callers
+// still learn whether it went out now; failed attempts are retried by the outbox worker.
+const sendEmailBestEffort = async ({ to, subject, html, text, replyTo, attachments, context }) => {
+  if (process.env.MAIL_DISABLE === "true") {
+    return { sent: false, skipped: true, reason: "mail_disabled" };
+  }
 
-app.get("/api/posts/:slug", async (req, res) => {
-  const { slug } = req.params;
-  const { data, error } = await supabase
-    .from("posts")
+  const { data: row, error } = await supabase
+    .from("email_outbox")
+    .insert([
+      {
+        to_addresses: Array.isArray(to) ? to : [to],
+        subject,
+        html,
+        text: text || null,
+        reply_to: replyTo || null,
+        attachments: attachments && attachments.length > 0 ? attachments : null,
+        context: context || null,
+        transport: MAIL_TRANSPORT,
+        status: "sending",
+        locked_at: new Date().toISOString(),
+      },
+    ])
     .select("*")
-    .eq("slug", slug)
-    .eq("status", "published")
     .single();
 
-  if (error || !data) {
-    return res.status(404).json({ error: "Post not found" });
+  if (error) {
+    // Never lose the message just because the outbox is unavailable.
+    log.error("Email outbox insert error", { err: error });
+    return EMAIL_TRANSPORTS[MAIL_TRANSPORT]({
+      to,
+      subject,
+      html,
+      text,
+      replyTo,
+      attachments: await resolveAttachments(attachments),
+    });
   }
 
-  return res.json(data);
-});
+  return deliverOutboxEmail(row);
+};
 
-// --- Public Products Endpoint ---
-app.get("/api/products", async (req, res) => {
-  const { subtitle, status } = req.query;
-  let query = supabase.from("products").select("*").order("created_at", { ascending: false });
+const runEmailOutboxWorker = async () => {
+  const now = new Date();
 
-  if (subtitle) {
-    query = query.eq("subtitle", subtitle);
-  }
-  if (status) {
-    query = query.eq("status", status);
-  }
+  await supabase
+    .from("email_outbox")
+    .update({ status: "pending", locked_at: null })
+    .eq("status", "sending")
+    .lt("locked_at", new Date(now.getTime() - EMAIL_SEND_LOCK_MS).toISOString());
+
+  const { data: due, error } = await supabase
+    .from("email_outbox")
+    .select("*")
+    .eq("status", "pending")
+    .lte("next_attempt_at", now.toISOString())
+    .order("next_attempt_at", { ascending: true })
+    .limit(20);
 
-  const { data, error } = await query;
   if (error) {
-    return res.status(500).json({ error: error.message });
+    log.error("Email outbox fetch error", { err: error });
+    return;
   }
-  return res.json({ products: data || [] });
-});
-
-// --- Public Banner Endpoint ---
-app.get("/api/banner", async (req, res) => {
-  const { data, error } = await supabase
-    .from("banners")
-    .select("*")
-    .eq("is_active", true)
-    .order("created_at", { ascending: false })
-    .limit(1)
-    .maybeSingle();
 
-  if (error) {
-    return res.status(500).json({ error: error.message });
+  for (const row of due || []) {
+    // Claim the row first so two workers never send the same message.
+    const { data: claimed } = await supabase
+      .from("email_outbox")
+      .update({ status: "sending", locked_at: new Date().toISOString() })
+      .eq("id", row.id)
+      .eq("status", "pending")
+      .select("*")
+      .maybeSingle();
+    if (claimed) {
+      await deliverOutboxEmail(claimed);
+    }
   }
+};
 
-  return res.json(data || null);
-});
+const startEmailOutboxWorker = () => {
+  const tick = () =>
+    runEmailOutboxWorker().catch((err) => log.error("Email outbox worker error", { err }));
+  tick();
+  return setInterval(tick, EMAIL_WORKER_INTERVAL_MS);
+};
 
-// --- Admin Blog Endpoints ---
-app.get("/api/admin/posts", requireAdmin, async (req, res) => {
-  const { data, error, count } = await supabase
-    .from("posts")
-    .select("*", { count: "exact" })
-    .order("updated_at", { ascending: false, nullsLast: true });
+// --- Email Templates ---
+// `safeHtml` is a tagged template that HTML-escapes every interpolated value unless it is itself
+// `safeHtml` output (or wrapped in `trustedHtml`), so templates can nest without double-escaping.
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
 
-  if (error) {
-    return res.status(500).json({ error: error.message });
+  toString() {
+    return this.value;
   }
+}
 
-  return res.json({ posts: data || [], total: count || 0 });
-});
+const trustedHtml = (value) => new SafeHtml(String(value ?? ""));
 
-app.post("/api/admin/posts", requireAdmin, async (req, res) => {
-  const payload = req.body || {};
-  if (!payload.title || !payload.slug) {
-    return res.status(400).json({ error: "Missing title or slug" });
-  }
+const renderHtmlValue = (value) => {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderHtmlValue).join("");
+  return escapeHtml(value);
+};
 
-  const { data, error } = await supabase.from("posts").insert([payload]).select("*").single();
-  if (error) {
-    return res.status(500).json({ error: error.message });
-  }
+const safeHtml = (strings, ...values) =>
+  new SafeHtml(
+    strings.reduce(
+      (out, string, index) =>
+        out + string + (index < values.length ? renderHtmlValue(values[index]) : ""),
+      ""
+    )
+  );
 
-  return res.json(data);
-});
+const LOGO_CONTENT_ID = "goftuslogo";
 
-app.put("/api/admin/posts/:id", requireAdmin, async (req, res) => {
-  const { id } = req.params;
-  const payload = req.body || {};
+const logoAttachment = async () => {
+  const content = await readFileBase64(path.join(__dirname, "assets", "goftus-logo.jpg"));
+  return content ? { filename: "goftus-logo.jpg", content, contentId: LOGO_CONTENT_ID } : null;
+};
 
-  const { data, error } = await supabase
-    .from("posts")
-    .update(payload)
-    .eq("id", id)
-    .select("*")
-    .single();
+// Attachments that can be referenced as `{ asset: name }` (see resolveAttachments).
+const EMAIL_ASSETS = { logo: logoAttachment };
+
+// Shared branding for every email. `unsubscribeHref` adds the per-recipient unsubscribe link.
+const emailLayout = ({ title, body, logo = false, unsubscribeHref }) => {
+  const logoImage = logo
+    ? safeHtml`<img src="cid:${LOGO_CONTENT_ID}" alt="Goftus Logo" style="width: 120px; margin-bottom: 15px;" />`
+    : "";
+  const unsubscribeLink = unsubscribeHref
+    ? safeHtml`<a href="${unsubscribeHref}"
+         style="color:#94a3b8; font-size:13px; text-decoration:underline;">
+        Unsubscribe from future emails
+      </a>`
+    : "";
+
+  return safeHtml`
+  <div style="font-family: Arial, sans-serif; background-color: #0f172a; padding: 40px;">
+    <div style="max-width: 600px; margin: auto; background: #1e293b; border-radius: 12px; overflow: hidden;">
+      <div style="text-align: center; padding: 30px 20px 10px;">
+        ${logoImage}
+        <h1 style="color: #38bdf8; font-size: 24px; margin: 0;">${title}</h1>
+      </div>
+      <div style="padding: 20px 30px; color: #e2e8f0; font-size: 15px; line-height: 1.6;">
+        ${body}
+      </div>
+      <div style="background: #0f172a; text-align: center; padding: 15px;">
+        ${unsubscribeLink}
+        <p style="color: #64748b; font-size: 12px;">
+          (c) ${new Date().getFullYear()} Goftus AI. All rights reserved.
+        </p>
+      </div>
+    </div>
+  </div>
+`;
+};
 
-  if (error) {
-    return res.status(500).json({ error: error.message });
-  }
+const emailButton = (href, label) => safeHtml`
+  <div style="text-align: center; margin-top: 30px;">
+    <a href="${href}" style="background-color: #38bdf8; color: #0f172a; padding: 12px 24px; border-radius: 8px; font-weight: bold; text-decoration: none;">${label}</a>
+  </div>
+`;
+
+const textFooter = (unsubscribeHref) =>
+  [
+    unsubscribeHref ? `Unsubscribe: ${unsubscribeHref}` : null,
+    `(c) ${new Date().getFullYear()} Goftus AI. All rights reserved.`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+// Links that carry a signed token. Previews get placeholders instead, so rendering a template for
+// an arbitrary address never mints a working confirm or unsubscribe link.
+const SIGNED_EMAIL_LINKS = {
+  subscribeConfirm: (email) => subscribeConfirmUrl(email),
+  unsubscribe: (email) => unsubscribeUrl(email),
+};
 
-  return res.json(data);
-});
+const PREVIEW_EMAIL_LINKS = {
+  subscribeConfirm: () => `${BASE_URL}/api/subscribe/confirm?token=preview`,
+  unsubscribe: () => `${BASE_URL}/api/unsubscribe?token=preview`,
+};
 
-app.delete("/api/admin/posts/:id", requireAdmin, async (req, res) => {
-  const { id } = req.params;
+// Each template returns { subject, title, body, text } for the given data and links; `sample`
+// feeds the admin preview endpoint.
+const EMAIL_TEMPLATES = {
+  welcome: {
+    logo: true,
+    unsubscribable: true,
+    sample: { email: "jane@example.com" },
+    render: () => ({
+      subject: "Welcome to Goftus AI!",
+      title: "Welcome to Goftus AI",
+      body: safeHtml`
+        <p>We're excited to have you join the Goftus community.</p>
+        <p>At <strong style="color: #38bdf8;">Goftus</strong>, we help you build, ship, and scale with advanced AI solutions like:</p>
+        <ul style="line-height: 1.8;">
+          <li><b>Agentic AI</b> - automate business workflows intelligently</li>
+          <li><b>AI Products</b> - design, deploy, and scale effortlessly</li>
+          <li><b>Smart Integrations</b> - bring AI seamlessly into your stack</li>
+        </ul>
+        <p>Let's shape the future of AI - together.</p>
+        ${emailButton("https://goftus.com/contact", "Contact Us")}
+      `,
+      text: [
+        "Welcome to Goftus AI",
+        "",
+        "We're excited to have you join the Goftus community.",
+        "",
+        "At Goftus, we help you build, ship, and scale with advanced AI solutions like:",
+        "- Agentic AI - automate business workflows intelligently",
+        "- AI Products - design, deploy, and scale effortlessly",
+        "- Smart Integrations - bring AI seamlessly into your stack",
+        "",
+        "Let's shape the future of AI - together.",
+        "Contact us: https://goftus.com/contact",
+      ].join("\n"),
+    }),
+  },
+
+  subscribe_confirmation: {
+    sample: { email: "jane@example.com" },
+    render: ({ email }, links) => ({
+      subject: "Confirm your Goftus AI subscription",
+      title: "Confirm your subscription",
+      body: safeHtml`
+        <p>Someone (hopefully you) asked to subscribe <b>${email}</b> to Goftus AI updates.</p>
+        ${emailButton(links.subscribeConfirm(email), "Confirm subscription")}
+        <p style="font-size: 14px; color: #94a3b8; margin-top: 20px;">
+          If you didn't ask for this, ignore this email and you won't hear from us again.
+        </p>
+      `,
+      text: [
+        `Someone (hopefully you) asked to subscribe ${email} to Goftus AI updates.`,
+        "",
+        `Confirm your subscription: ${links.subscribeConfirm(email)}`,
+        "",
+        "If you didn't ask for this, ignore this email and you won't hear from us again.",
+      ].join("\n"),
+    }),
+  },
+
+  unsubscribe_confirmation: {
+    sample: { email: "jane@example.com" },
+    render: ({ email }) => ({
+      subject: "You've been unsubscribed from Goftus AI updates",
+      title: "Unsubscribed Successfully",
+      body: safeHtml`
+        <p>We've removed <b>${email}</b> from our mailing list.</p>
+        <p style="font-size: 14px; color: #94a3b8;">If this was a mistake, you can resubscribe anytime on our website.</p>
+        ${emailButton("https://goftus.com", "Visit Goftus")}
+      `,
+      text: [
+        `We've removed ${email} from our mailing list.`,
+        "If this was a mistake, you can resubscribe anytime on our website: https://goftus.com",
+      ].join("\n"),
+    }),
+  },
+
+  contact_notification: {
+    sample: {
+      fullName: "Jane Doe",
+      email: "jane@example.com",
+      company: "Example Ltd",
+      need: "Agentic AI",
+      message: "Hi,\nWe'd like to automate our support inbox.",
+    },
+    render: ({ fullName, email, company, need, message }) => ({
+      subject: `New contact from ${fullName}`,
+      title: "New Contact Submission",
+      body: safeHtml`
+        <p><b>Name:</b> ${fullName}</p>
+        <p><b>Email:</b> ${email}</p>
+        <p><b>Company:</b> ${company || "N/A"}</p>
+        <p><b>Need:</b> ${need || "N/A"}</p>
+        <p><b>Message:</b><br/>${trustedHtml(escapeHtml(message).replace(/\n/g, "<br/>"))}</p>
+      `,
+      text: [
+        "New Contact Submission",
+        "",
+        `Name: ${fullName}`,
+        `Email: ${email}`,
+        `Company: ${company || "N/A"}`,
+        `Need: ${need || "N/A"}`,
+        "",
+        "Message:",
+        message,
+      ].join("\n"),
+    }),
+  },
+
+  automation_inquiry: {
+    sample: {
+      choice: "yes",
+      phone: "+442079460958",
+      email: "jane@example.com",
+      sourcePage: "/services/automation",
+    },
+    render: ({ choice, phone, email, sourcePage }) => ({
+      subject: "New AI Automation Inquiry",
+      title: "AI Automation Inquiry",
+      body: safeHtml`
+        <p><b>Answer:</b> ${choice}</p>
+        <p><b>Mobile:</b> ${phone || "N/A"}</p>
+        <p><b>Email:</b> ${email || "N/A"}</p>
+        <p><b>Page:</b> ${sourcePage || "N/A"}</p>
+      `,
+      text: [
+        "AI Automation Inquiry",
+        "",
+        `Answer: ${choice}`,
+        `Mobile: ${phone || "N/A"}`,
+        `Email: ${email || "N/A"}`,
+        `Page: ${sourcePage || "N/A"}`,
+      ].join("\n"),
+    }),
+  },
+};
 
-  const { error } = await supabase.from("posts").delete().eq("id", id);
-  if (error) {
-    return res.status(500).json({ error: error.message });
+const renderEmailTemplate = (name, data, links = SIGNED_EMAIL_LINKS) => {
+  const template = EMAIL_TEMPLATES[name];
+  if (!template) return null;
+
+  const { subject, title, body, text } = template.render(data, links);
+  const unsubscribeHref =
+    template.unsubscribable && data.email ? links.unsubscribe(data.email) : undefined;
+  return {
+    subject,
+    html: emailLayout({ title, body, logo: template.logo, unsubscribeHref }).toString(),
+    text: `${text}\n\n${textFooter(unsubscribeHref)}`,
+  };
+};
+
+const sendTemplatedEmail = async (name, data, { to, replyTo, context } = {}) => {
+  const { subject, html, text } = renderEmailTemplate(name, data);
+
+  return sendEmailBestEffort({
+    to,
+    subject,
+    html,
+    text,
+    replyTo,
+    context,
+    attachments: EMAIL_TEMPLATES[name].logo ? [{ asset: "logo" }] : [],
+  });
+};
+
+// --- Blog Admin Auth ---
+app.post("/api/admin/login", async (req, res) => {
+  const { email, username, password } = req.body || {};
+  const candidate = email || username;
+
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    return res.status(500).json({ error: "Admin credentials not configured" });
   }
 
-  return res.json({ success: true });
-});
+  let admin = null;
+  if (candidate === ADMIN_EMAIL && password === ADMIN_PASSWORD) {
+    admin = { email: candidate, role: "super_admin", isSuperAdmin: true };
+  } else {
+    const { data, error } = await db.adminUsers.findByEmail(
+      candidate,
+      "id,email,role,password_hash"
+    );
+
+    if (error || !data) {
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
 
-app.post("/api/admin/posts/:id/publish", requireAdmin, async (req, res) => {
-  const { id } = req.params;
-  const payload = { status: "published", published_at: new Date().toISOString() };
+    const valid = await bcrypt.compare(password || "", data.password_hash || "");
+    if (!valid) {
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
 
-  const { data, error } = await supabase
-    .from("posts")
-    .update(payload)
-    .eq("id", id)
-    .select("*")
-    .single();
+    const role = ADMIN_ROLES[data.role] ? data.role : DEFAULT_ADMIN_ROLE;
+    admin = { email: data.email, role, isSuperAdmin: role === "super_admin" };
+  }
 
-  if (error) {
-    return res.status(500).json({ error: error.message });
+  const { session, error: sessionError } = await createAdminSession(admin.email);
+  if (sessionError) {
+    return res.status(500).json({ error: sessionError.message });
   }
 
-  return res.json(data);
+  return res.json({
+    ...session,
+    email: admin.email,
+    role: admin.role,
+    permissions: permissionsForRole(admin.role),
+    isSuperAdmin: admin.isSuperAdmin,
+  });
 });
 
-app.post("/api/admin/posts/:id/unpublish", requireAdmin, async (req, res) => {
-  const { id } = req.params;
-  const payload = { status: "draft", published_at: null };
+app.post("/api/admin/refresh", async (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (!refreshToken) {
+    return res.status(400).json({ error: "Missing refresh token" });
+  }
 
   const { data, error } = await supabase
-    .from("posts")
-    .update(payload)
-    .eq("id", id)
-    .select("*")
-    .single();
+    .from("admin_sessions")
+    .select("id,admin_email,expires_at,revoked_at")
+    .eq("refresh_token_hash", hashToken(refreshToken))
+    .maybeSingle();
 
-  if (error) {
-    return res.status(500).json({ error: error.message });
+  if (error || !data || data.revoked_at || new Date(data.expires_at).getTime() <= Date.now()) {
+    return res.status(401).json({ error: "Session expired or revoked" });
   }
 
-  return res.json(data);
+  const admin = await findAdminByEmail(data.admin_email);
+  if (!admin) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  // Rotate the refresh token so a leaked one can only be replayed once.
+  const nextRefreshToken = crypto.randomBytes(32).toString("base64url");
+  const { error: updateError } = await supabase
+    .from("admin_sessions")
+    .update({ refresh_token_hash: hashToken(nextRefreshToken) })
+    .eq("id", data.id);
+
+  if (updateError) {
+    return res.status(500).json({ error: updateError.message });
+  }
+
+  const { token, expiresAt } = issueAdminAccessToken(admin.email, data.id);
+  return res.json({
+    token,
+    expiresAt,
+    refreshToken: nextRefreshToken,
+    refreshExpiresAt: data.expires_at,
+    email: admin.email,
+    role: admin.role,
+    permissions: permissionsForRole(admin.role),
+    isSuperAdmin: admin.isSuperAdmin,
+  });
 });
 
-// --- Admin Products Endpoints ---
-app.get("/api/admin/products", requireAdmin, async (req, res) => {
-  const { data, error } = await supabase
-    .from("products")
-    .select("*")
-    .order("updated_at", { ascending: false, nullsLast: true });
+app.post("/api/admin/logout", requireAdmin, async (req, res) => {
+  const { error } = await supabase
+    .from("admin_sessions")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("id", req.adminSessionId);
 
   if (error) {
     return res.status(500).json({ error: error.message });
   }
 
-  return res.json({ products: data || [] });
+  return res.json({ success: true });
 });
 
-app.post("/api/admin/products", requireAdmin, async (req, res) => {
-  const payload = req.body || {};
-  if (!payload.name || !payload.description) {
-    return res.status(400).json({ error: "Missing name or description" });
+// --- Public Response Cache ---
+// Public reads are cached in-process per URL and dropped as soon as an admin write under a
+// matching path succeeds. Every instance keeps its own copy, so with several instances the TTL
+// bounds how stale the others can be. It also bounds how late a scheduled post or banner
+// campaign boundary shows, except for banners, whose entries expire at their next boundary.
+// PUBLIC_CACHE_TTL_MS=0 turns the cache off; conditional requests keep working either way.
+const PUBLIC_CACHE_TTL_MS = Math.max(
+  parseInt(process.env.PUBLIC_CACHE_TTL_MS ?? String(60 * 1000), 10) || 0,
+  0
+);
+const PUBLIC_CACHE_MAX_ENTRIES = parseInt(process.env.PUBLIC_CACHE_MAX_ENTRIES, 10) || 500;
+const PUBLIC_CACHE_CONTROL = {
+  posts: process.env.CACHE_CONTROL_POSTS || "public, max-age=60",
+  products: process.env.CACHE_CONTROL_PRODUCTS || "public, max-age=300",
+  banners: process.env.CACHE_CONTROL_BANNERS || "public, max-age=30",
+};
+// Admin path prefixes whose successful writes invalidate each cached area. Posts embed their
+// tags and category, so taxonomy edits count as post changes.
+const PUBLIC_CACHE_INVALIDATION = [
+  ["/api/admin/posts", "posts"],
+  ["/api/admin/tags", "posts"],
+  ["/api/admin/categories", "posts"],
+  ["/api/admin/products", "products"],
+  ["/api/admin/banners", "banners"],
+];
+
+const publicCache = new Map();
+// Bumped on every invalidation so a read that started before a write never stores its result.
+const publicCacheGenerations = Object.fromEntries(
+  Object.keys(PUBLIC_CACHE_CONTROL).map((area) => [area, 0])
+);
+// Lists lose rows on delete without any timestamp moving, so Last-Modified never predates the
+// last invalidation (or boot).
+const publicCacheChangedAt = Object.fromEntries(
+  Object.keys(PUBLIC_CACHE_CONTROL).map((area) => [area, Date.now()])
+);
+
+const invalidatePublicCache = (area) => {
+  publicCacheGenerations[area] += 1;
+  publicCacheChangedAt[area] = Date.now();
+  for (const key of publicCache.keys()) {
+    if (key.startsWith(`${area}:`)) publicCache.delete(key);
   }
+};
 
-  const { data, error } = await supabase.from("products").insert([payload]).select("*").single();
-  if (error) {
-    return res.status(500).json({ error: error.message });
-  }
+// Invalidates on the way in, so reads racing the write are not stored, and again once it has
+// succeeded, to drop anything read while it was in flight.
+app.use("/api/admin", (req, res, next) => {
+  if (req.method === "GET") return next();
 
-  return res.json(data);
+  const areas = PUBLIC_CACHE_INVALIDATION.filter(([prefix]) =>
+    req.originalUrl.startsWith(prefix)
+  ).map(([, area]) => area);
+  if (areas.length === 0) return next();
+
+  areas.forEach(invalidatePublicCache);
+  res.on("finish", () => {
+    if (res.statusCode < 400) areas.forEach(invalidatePublicCache);
+  });
+  return next();
 });
 
-app.post("/api/admin/products/upload-image", requireAdmin, async (req, res) => {
-  const { dataUrl, filename } = req.body || {};
-  if (!dataUrl || !filename) {
-    return res.status(400).json({ error: "Missing dataUrl or filename" });
+// Express derives a weak ETag from the body and answers If-None-Match / If-Modified-Since with
+// 304 once the validators match; this adds Last-Modified, Cache-Control and the cache itself.
+// `rowsOf` picks the rows whose timestamps make up Last-Modified; without it only the ETag
+// validates, for answers that change with the clock rather than with a write.
+const cachePublicRead = (area, rowsOf) => (req, res, next) => {
+  const key = `${area}:${req.originalUrl}`;
+
+  const cached = publicCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    res.set("Cache-Control", PUBLIC_CACHE_CONTROL[area]);
+    if (cached.lastModified) res.set("Last-Modified", cached.lastModified);
+    res.set("X-Cache", "HIT");
+    return res.type("json").send(cached.body);
   }
+  publicCache.delete(key);
+
+  const generation = publicCacheGenerations[area];
+  const sendJson = res.json.bind(res);
+  res.json = (payload) => {
+    if (res.statusCode !== 200) return sendJson(payload);
+
+    const rows = rowsOf ? [rowsOf(payload)].flat().filter(Boolean) : null;
+    const lastModified =
+      rows &&
+      new Date(Math.max(latestTimestamp(rows), publicCacheChangedAt[area])).toUTCString();
+    res.set("Cache-Control", PUBLIC_CACHE_CONTROL[area]);
+    if (lastModified) res.set("Last-Modified", lastModified);
+    res.set("X-Cache", "MISS");
+
+    const expiresAt = Math.min(
+      Date.now() + PUBLIC_CACHE_TTL_MS,
+      res.locals.cacheExpiresAt ?? Infinity
+    );
+    if (PUBLIC_CACHE_TTL_MS > 0 && generation === publicCacheGenerations[area]) {
+      if (publicCache.size >= PUBLIC_CACHE_MAX_ENTRIES) {
+        publicCache.delete(publicCache.keys().next().value);
+      }
+      publicCache.set(key, { body: JSON.stringify(payload), lastModified, expiresAt });
+    }
+    return sendJson(payload);
+  };
+  return next();
+};
 
-  const match = String(dataUrl).match(/^data:(.+);base64,(.+)$/);
-  if (!match) {
-    return res.status(400).json({ error: "Invalid data URL" });
+// --- Public Blog Endpoints ---
+app.get("/api/posts", cachePublicRead("posts", (body) => body.posts), async (req, res) => {
+  const { page, limit, from, to } = parsePagination(req);
+  const { tag, category } = req.query;
+
+  const filters = { from, to, count: true };
+
+  if (tag) {
+    const { data: tagRow } = await supabase.from("tags").select("id").eq("slug", tag).maybeSingle();
+    const { data: links } = tagRow
+      ? await supabase.from("post_tags").select("post_id").eq("tag_id", tagRow.id)
+      : { data: [] };
+    const postIds = (links || []).map((link) => link.post_id);
+    if (postIds.length === 0) {
+      return res.json({ posts: [], page, totalPages: 1, total: 0 });
+    }
+    filters.ids = postIds;
   }
 
-  const contentType = match[1];
-  const base64 = match[2];
-  const buffer = Buffer.from(base64, "base64");
-  const safeName = filename.replace(/[^a-zA-Z0-9._-]/g, "_");
-  const objectPath = `products/${Date.now()}-${safeName}`;
+  if (category) {
+    const { data: categoryRow } = await supabase
+      .from("categories")
+      .select("id")
+      .eq("slug", category)
+      .maybeSingle();
+    if (!categoryRow) {
+      return res.json({ posts: [], page, totalPages: 1, total: 0 });
+    }
+    filters.categoryId = categoryRow.id;
+  }
 
-  const { error } = await supabase.storage
-    .from("product-images")
-    .upload(objectPath, buffer, { contentType, upsert: true });
+  const { data, error, count } = await db.posts.listPublic(filters);
 
   if (error) {
     return res.status(500).json({ error: error.message });
   }
 
-  const { data } = supabase.storage.from("product-images").getPublicUrl(objectPath);
-  return res.json({ url: data.publicUrl });
+  const totalPages = count ? Math.ceil(count / limit) : 1;
+  const posts = await attachPostTaxonomy((data || []).map(withPostRendering));
+  return res.json({ posts, page, totalPages, total: count || 0 });
 });
 
-app.put("/api/admin/products/:id", requireAdmin, async (req, res) => {
-  const { id } = req.params;
-  const payload = req.body || {};
+// The single-post response body, shared by the public and preview endpoints so a preview
+// shows exactly what publishing would.
+const presentPost = async (data) => {
+  const [post] = await attachPostTaxonomy([withPostRendering(data)]);
+  return post;
+};
 
-  const { data, error } = await supabase
-    .from("products")
-    .update(payload)
-    .eq("id", id)
-    .select("*")
-    .single();
+// Drafts shared through a preview link. The token is signed and carries the preview id, so it
+// can be checked for revocation and recomputed for listing without being stored.
+const POST_PREVIEW_SECRET = process.env.POST_PREVIEW_SECRET || ADMIN_TOKEN;
+const POST_PREVIEW_TTL_HOURS = parseInt(process.env.POST_PREVIEW_TTL_HOURS, 10) || 7 * 24;
+const POST_PREVIEW_MAX_TTL_HOURS = 30 * 24;
+
+const postPreviewToken = (preview) =>
+  signToken(
+    {
+      typ: "post_preview",
+      pid: preview.id,
+      exp: Math.floor(new Date(preview.expires_at).getTime() / 1000),
+    },
+    POST_PREVIEW_SECRET
+  );
+
+const presentPostPreview = (preview) => {
+  const token = postPreviewToken(preview);
+  return {
+    ...preview,
+    token,
+    url: siteUrl(`${BLOG_PATH}/preview/${token}`),
+    apiUrl: `/api/posts/preview/${token}`,
+  };
+};
 
-  if (error) {
-    return res.status(500).json({ error: error.message });
+app.get("/api/posts/preview/:token", async (req, res) => {
+  const payload = verifyToken(req.params.token, POST_PREVIEW_SECRET);
+  if (!payload || payload.typ !== "post_preview") {
+    return res.status(404).json({ error: "Preview not found or expired" });
   }
 
-  return res.json(data);
-});
-
-app.delete("/api/admin/products/:id", requireAdmin, async (req, res) => {
-  const { id } = req.params;
+  const preview = await fetchRowById("post_previews", payload.pid);
+  if (!preview || preview.revoked_at || new Date(preview.expires_at) <= new Date()) {
+    return res.status(404).json({ error: "Preview not found or expired" });
+  }
 
-  const { error } = await supabase.from("products").delete().eq("id", id);
-  if (error) {
-    return res.status(500).json({ error: error.message });
+  const data = await db.posts.findById(preview.post_id);
+  if (!data) {
+    return res.status(404).json({ error: "Post not found" });
   }
 
-  return res.json({ success: true });
+  await supabase
+    .from("post_previews")
+    .update({ last_viewed_at: new Date().toISOString(), view_count: (preview.view_count || 0) + 1 })
+    .eq("id", preview.id);
+
+  res.set("Cache-Control", "private, no-store");
+  res.set("X-Robots-Tag", "noindex, nofollow");
+  return res.json(await presentPost(data));
 });
 
-// --- Admin Banner Endpoints ---
-app.get("/api/admin/banners", requireAdmin, async (req, res) => {
-  const { data, error } = await supabase
-    .from("banners")
-    .select("*")
-    .order("created_at", { ascending: false });
+app.get("/api/posts/:slug", cachePublicRead("posts", (body) => body), async (req, res) => {
+  const { slug } = req.params;
+  const { data, error } = await db.posts.findPublicBySlug(slug);
 
-  if (error) {
-    return res.status(500).json({ error: error.message });
+  if (error || !data) {
+    return res.status(404).json({ error: "Post not found" });
   }
 
-  return res.json({ banners: data || [] });
+  return res.json(await presentPost(data));
 });
 
-app.post("/api/admin/banners", requireAdmin, async (req, res) => {
-  const { product, message, href, is_active } = req.body || {};
-  if (!product || !message) {
-    return res.status(400).json({ error: "Missing product or message" });
-  }
+// --- Public Taxonomy Endpoints ---
+const countPublishedPosts = async () => {
+  const { data: posts, error } = await db.posts.listPublic({ columns: "id,category_id" });
+  return { posts: posts || [], error };
+};
 
-  const payload = {
-    product,
-    message,
-    href: href || null,
-    is_active: Boolean(is_active),
-  };
+app.get("/api/tags", async (req, res) => {
+  const [{ data: tags, error }, { posts, error: postsError }] = await Promise.all([
+    supabase.from("tags").select("id,name,slug").order("name", { ascending: true }),
+    countPublishedPosts(),
+  ]);
 
-  const { data, error } = await supabase
-    .from("banners")
-    .insert([payload])
-    .select("*")
-    .single();
+  if (error || postsError) {
+    return res.status(500).json({ error: (error || postsError).message });
+  }
 
-  if (error) {
-    return res.status(500).json({ error: error.message });
+  const publishedIds = posts.map((post) => post.id);
+  const { data: links, error: linksError } =
+    publishedIds.length > 0
+      ? await supabase.from("post_tags").select("tag_id").in("post_id", publishedIds)
+      : { data: [] };
+
+  if (linksError) {
+    return res.status(500).json({ error: linksError.message });
   }
 
-  if (payload.is_active) {
-    await supabase.from("banners").update({ is_active: false }).neq("id", data.id);
+  const counts = new Map();
+  for (const link of links || []) {
+    counts.set(link.tag_id, (counts.get(link.tag_id) || 0) + 1);
   }
 
-  return res.json(data);
+  return res.json({
+    tags: (tags || []).map((tag) => ({ ...tag, postCount: counts.get(tag.id) || 0 })),
+  });
 });
 
-app.put("/api/admin/banners/:id", requireAdmin, async (req, res) => {
-  const { id } = req.params;
-  const { product, message, href, is_active } = req.body || {};
-
-  const payload = {};
-  if (typeof product === "string") payload.product = product;
-  if (typeof message === "string") payload.message = message;
-  if (typeof href === "string" || href === null) payload.href = href || null;
-  if (typeof is_active === "boolean") payload.is_active = is_active;
+app.get("/api/categories", async (req, res) => {
+  const [{ data: categories, error }, { posts, error: postsError }] = await Promise.all([
+    supabase
+      .from("categories")
+      .select("id,name,slug,description")
+      .order("name", { ascending: true }),
+    countPublishedPosts(),
+  ]);
+
+  if (error || postsError) {
+    return res.status(500).json({ error: (error || postsError).message });
+  }
 
-  if (payload.is_active === true) {
-    await supabase.from("banners").update({ is_active: false }).neq("id", id);
+  const counts = new Map();
+  for (const post of posts) {
+    if (post.category_id) {
+      counts.set(post.category_id, (counts.get(post.category_id) || 0) + 1);
+    }
   }
 
-  const { data, error } = await supabase
-    .from("banners")
-    .update(payload)
-    .eq("id", id)
-    .select("*")
-    .single();
+  return res.json({
+    categories: (categories || []).map((category) => ({
+      ...category,
+      postCount: counts.get(category.id) || 0,
+    })),
+  });
+});
 
+// --- Feeds & Sitemap ---
+app.get("/feed.xml", async (req, res) => {
+  const { posts, error } = await fetchFeedPosts();
   if (error) {
     return res.status(500).json({ error: error.message });
   }
 
-  return res.json(data);
+  const items = posts
+    .map((post) => {
+      const categories = [post.category, ...post.tags]
+        .filter(Boolean)
+        .map((term) => `      <category>${escapeHtml(term.name)}</category>`)
+        .join("\n");
+      const content =
+        FEED_CONTENT === "full"
+          ? `\n      <content:encoded>${escapeHtml(post.content_html)}</content:encoded>`
+          : "";
+      return `    <item>
+      <title>${escapeHtml(post.title)}</title>
+      <link>${escapeHtml(postUrl(post))}</link>
+      <guid isPermaLink="true">${escapeHtml(postUrl(post))}</guid>
+      <pubDate>${postPublishedAt(post).toUTCString()}</pubDate>
+      <description>${escapeHtml(postExcerpt(post))}</description>${content}
+${categories}
+    </item>`;
+    })
+    .join("\n");
+
+  const lastModified = latestTimestamp(posts);
+  const body = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeHtml(FEED_TITLE)}</title>
+    <link>${escapeHtml(siteUrl(BLOG_PATH))}</link>
+    <description>${escapeHtml(FEED_DESCRIPTION)}</description>
+    <language>en</language>
+    <lastBuildDate>${new Date(lastModified || Date.now()).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeHtml(siteUrl("/feed.xml"))}" rel="self" type="application/rss+xml"/>
+${items}
+  </channel>
+</rss>
+`;
+
+  return sendFeed(res, "application/rss+xml; charset=utf-8", body, lastModified);
 });
 
-app.post("/api/admin/banners/:id/activate", requireAdmin, async (req, res) => {
-  const { id } = req.params;
-
-  await supabase.from("banners").update({ is_active: false }).neq("id", id);
-
-  const { data, error } = await supabase
-    .from("banners")
-    .update({ is_active: true })
-    .eq("id", id)
-    .select("*")
-    .single();
-
+app.get("/atom.xml", async (req, res) => {
+  const { posts, error } = await fetchFeedPosts();
   if (error) {
     return res.status(500).json({ error: error.message });
   }
 
-  return res.json(data);
+  const entries = posts
+    .map((post) => {
+      const body =
+        FEED_CONTENT === "full"
+          ? `<content type="html">${escapeHtml(post.content_html)}</content>`
+          : `<summary>${escapeHtml(postExcerpt(post))}</summary>`;
+      const categories = [post.category, ...post.tags]
+        .filter(Boolean)
+        .map(
+          (term) =>
+            `\n    <category term="${escapeHtml(term.slug)}" label="${escapeHtml(term.name)}"/>`
+        )
+        .join("");
+      return `  <entry>
+    <id>${escapeHtml(postUrl(post))}</id>
+    <title>${escapeHtml(post.title)}</title>
+    <link href="${escapeHtml(postUrl(post))}"/>
+    <published>${postPublishedAt(post).toISOString()}</published>
+    <updated>${postModifiedAt(post).toISOString()}</updated>
+    ${body}${categories}
+  </entry>`;
+    })
+    .join("\n");
+
+  const lastModified = latestTimestamp(posts);
+  const body = `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeHtml(siteUrl(BLOG_PATH))}</id>
+  <title>${escapeHtml(FEED_TITLE)}</title>
+  <subtitle>${escapeHtml(FEED_DESCRIPTION)}</subtitle>
+  <updated>${new Date(lastModified || Date.now()).toISOString()}</updated>
+  <link href="${escapeHtml(siteUrl("/atom.xml"))}" rel="self" type="application/atom+xml"/>
+  <link href="${escapeHtml(siteUrl(BLOG_PATH))}" rel="alternate" type="text/html"/>
+${entries}
+</feed>
+`;
+
+  return sendFeed(res, "application/atom+xml; charset=utf-8", body, lastModified);
 });
 
-app.post("/api/admin/banners/:id/deactivate", requireAdmin, async (req, res) => {
-  const { id } = req.params;
-
-  const { data, error } = await supabase
-    .from("banners")
-    .update({ is_active: false })
-    .eq("id", id)
-    .select("*")
-    .single();
-
+app.get("/feed.json", async (req, res) => {
+  const { posts, error } = await fetchFeedPosts();
   if (error) {
     return res.status(500).json({ error: error.message });
   }
 
-  return res.json(data);
+  const feed = {
+    version: "https://jsonfeed.org/version/1.1",
+    title: FEED_TITLE,
+    description: FEED_DESCRIPTION,
+    home_page_url: siteUrl(BLOG_PATH),
+    feed_url: siteUrl("/feed.json"),
+    items: posts.map((post) => ({
+      id: postUrl(post),
+      url: postUrl(post),
+      title: post.title,
+      summary: postExcerpt(post),
+      ...(FEED_CONTENT === "full" ? { content_html: post.content_html || "" } : {}),
+      date_published: postPublishedAt(post).toISOString(),
+      date_modified: postModifiedAt(post).toISOString(),
+      tags: [post.category, ...post.tags].filter(Boolean).map((term) => term.name),
+    })),
+  };
+
+  const lastModified = latestTimestamp(posts);
+  return sendFeed(res, "application/feed+json; charset=utf-8", JSON.stringify(feed), lastModified);
 });
 
-app.delete("/api/admin/banners/:id", requireAdmin, async (req, res) => {
-  const { id } = req.params;
+app.get("/sitemap.xml", async (req, res) => {
+  const [{ data: posts, error }, { data: products, error: productsError }] = await Promise.all([
+    db.posts.listPublic({ columns: "slug,updated_at,published_at" }),
+    db.products.list({ columns: "id,slug,updated_at" }),
+  ]);
 
-  const { error } = await supabase.from("banners").delete().eq("id", id);
-  if (error) {
-    return res.status(500).json({ error: error.message });
+  if (error || productsError) {
+    return res.status(500).json({ error: (error || productsError).message });
   }
 
-  return res.json({ success: true });
+  const toEntry = (loc, lastmod) => {
+    const lastmodTag = lastmod ? `\n    <lastmod>${new Date(lastmod).toISOString()}</lastmod>` : "";
+    return `  <url>
+    <loc>${escapeHtml(loc)}</loc>${lastmodTag}
+  </url>`;
+  };
+
+  const rows = [...(posts || []), ...(products || [])];
+  const entries = [
+    toEntry(siteUrl("/")),
+    toEntry(siteUrl(BLOG_PATH)),
+    ...(posts || []).map((post) => toEntry(postUrl(post), post.updated_at || post.published_at)),
+    ...(products || []).map((product) => toEntry(productUrl(product), product.updated_at)),
+  ].join("\n");
+
+  const lastModified = latestTimestamp(rows);
+  const body = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries}
+</urlset>
+`;
+
+  return sendFeed(res, "application/xml; charset=utf-8", body, lastModified);
 });
 
-// --- Admin Users (Super Admin Only) ---
-app.get("/api/admin/users", requireSuperAdmin, async (req, res) => {
-  const { data, error } = await supabase
-    .from("admin_users")
-    .select("id,email,created_at")
-    .order("created_at", { ascending: false });
+// --- Public Search Endpoint ---
+app.get("/api/search", async (req, res) => {
+  const q = String(req.query.q || "").trim();
+  if (!q) {
+    return res.status(400).json({ error: "Missing search query" });
+  }
+
+  const { page, limit, from, to } = parsePagination(req);
+  const types = req.query.type ? [req.query.type] : Object.keys(SEARCH_FIELDS);
 
+  const { data, error, count } = await db.search.rank({ q, kinds: types, from, to });
   if (error) {
     return res.status(500).json({ error: error.message });
   }
 
-  return res.json({ users: data || [] });
+  const results = (data || []).map(({ kind, rank, row }) => ({
+    type: kind,
+    id: row.id,
+    slug: row.slug ?? null,
+    title: row[SEARCH_FIELDS[kind][0]],
+    ...describeSearchHit(row, q, SEARCH_FIELDS[kind]),
+    score: rank,
+  }));
+
+  const total = count || 0;
+  const totalPages = total ? Math.ceil(total / limit) : 1;
+  return res.json({ results, page, totalPages, total, q });
 });
 
-app.post("/api/admin/users", requireSuperAdmin, async (req, res) => {
-  const { email, password } = req.body || {};
-  if (!email || !password) {
-    return res.status(400).json({ error: "Email and password are required" });
-  }
-
-  if (ADMIN_EMAIL && email === ADMIN_EMAIL) {
-    return res.status(400).json({ error: "Cannot add primary admin here" });
+// --- Public Products Endpoint ---
+app.get(
+  "/api/products",
+  cachePublicRead("products", (body) => body.products),
+  async (req, res) => {
+    const { subtitle, status } = req.query;
+    const { data, error } = await db.products.list({ subtitle, status });
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+    return res.json({ products: (data || []).map(withoutSearchVector) });
   }
+);
 
-  const password_hash = await bcrypt.hash(password, 10);
-  const { data, error } = await supabase
-    .from("admin_users")
-    .insert([{ email, password_hash }])
-    .select("id,email,created_at")
-    .single();
+// --- Public Banner Endpoints ---
+// Banners go live and expire on their schedule, so they are validated by ETag alone.
+app.get("/api/banner", cachePublicRead("banners"), async (req, res) => {
+  const { path: pagePath, product } = req.query;
+  const { banners, nextChangeAt, error } = await findLiveBanners({ path: pagePath, product });
 
   if (error) {
     return res.status(500).json({ error: error.message });
   }
 
-  return res.json(data);
+  res.locals.cacheExpiresAt = nextChangeAt;
+  return res.json(banners[0] || null);
 });
 
-app.delete("/api/admin/users/:id", requireSuperAdmin, async (req, res) => {
-  const { id } = req.params;
+app.get("/api/banners", cachePublicRead("banners"), async (req, res) => {
+  const { path: pagePath, product } = req.query;
+  const { banners, nextChangeAt, error } = await findLiveBanners({ path: pagePath, product });
 
-  const { error } = await supabase.from("admin_users").delete().eq("id", id);
   if (error) {
     return res.status(500).json({ error: error.message });
   }
 
-  return res.json({ success: true });
+  res.locals.cacheExpiresAt = nextChangeAt;
+  return res.json({ banners });
 });
 
-// 5️⃣ Define the route that handles the form submission
-// 📨 Contact Form API Route
-app.post("/api/contact", async (req, res) => {
-  const { fullName, email, company, need, message } = req.body;
+// --- Admin Blog Endpoints ---
+const POST_STATUSES = ["draft", "scheduled", "published"];
+
+const POST_SCHEMA = {
+  fields: {
+    title: { type: "string", required: true, min: 1, max: 200 },
+    slug: { type: "slug", required: true, max: 200 },
+    excerpt: { type: "string", max: 1000 },
+    content: { type: "string", max: 500000 },
+    cover_image_url: { type: "url", relative: true, max: 2048 },
+    author_name: { type: "string", max: 120 },
+    seo_title: { type: "string", max: 200 },
+    seo_description: { type: "string", max: 500 },
+    category_id: { type: "uuid" },
+    tag_ids: { type: "list", items: { type: "uuid" }, max: 50 },
+    status: { type: "enum", values: POST_STATUSES },
+    published_at: { type: "datetime" },
+    publish_at: { type: "datetime" },
+    unpublish_at: { type: "datetime" },
+  },
+  ignore: [
+    "id",
+    "created_at",
+    "updated_at",
+    "search_vector",
+    "tags",
+    "category",
+    "search",
+    ...POST_RENDERED_FIELDS,
+  ],
+};
 
-  if (!fullName || !email || !message)
-    return res.status(400).json({ error: "Missing required fields" });
+// `status: "scheduled"` and `publish_at` only make sense together. Updates are checked against
+// the stored row, so a partial edit can't leave a scheduled post without a publish time.
+const postScheduleErrors = (payload, before = {}) => {
+  const status = payload.status ?? before.status;
+  const publishAt = "publish_at" in payload ? payload.publish_at : before.publish_at;
+  if (status === "scheduled" && !publishAt) {
+    return [{ field: "publish_at", message: "Required when status is scheduled" }];
+  }
 
-  try {
-    const emailResult = await sendEmailBestEffort({
-      to: process.env.RECEIVER_MAIL,
-      subject: `New contact from ${fullName}`,
-      html: `
-        <h2>New Contact Submission</h2>
-        <p><b>Name:</b> ${fullName}</p>
-        <p><b>Email:</b> ${email}</p>
-        <p><b>Company:</b> ${company || "N/A"}</p>
-        <p><b>Need:</b> ${need || "N/A"}</p>
-        <p><b>Message:</b><br/>${message}</p>
-      `,
-      replyTo: email,
+  const publishAtChanged =
+    payload.publish_at &&
+    new Date(payload.publish_at).getTime() !== new Date(before.publish_at || 0).getTime();
+  if (publishAtChanged && status !== "scheduled") {
+    return [{ field: "status", message: 'Must be "scheduled" when publish_at is set' }];
+  }
+  return [];
+};
+
+// Admin search over every status, best hits first, as rows carrying a `search` score and snippet.
+const searchAdminRows = async (kind, q, status) => {
+  const { data, error, count } = await db.search.rank({
+    q,
+    kinds: [kind],
+    publicOnly: false,
+    status,
+    from: 0,
+    to: SEARCH_CANDIDATE_LIMIT - 1,
+  });
+  if (error) return { error };
+
+  const rows = (data || []).map(({ rank, row }) => ({
+    ...withoutSearchVector(row),
+    search: { score: rank, snippet: describeSearchHit(row, q, SEARCH_FIELDS[kind]).snippet },
+  }));
+  return { data: rows, count };
+};
+
+app.get("/api/admin/posts", requirePermission("posts:read"), async (req, res) => {
+  const { status, q } = req.query;
+  const { data, error, count } = q
+    ? await searchAdminRows("post", q, status)
+    : await db.posts.list({ status, count: true });
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  return res.json({ posts: await attachPostTaxonomy(data || []), total: count || 0 });
+});
+
+app.post("/api/admin/posts", requirePermission("posts:write"), async (req, res) => {
+  const { payload: body, errors } = validateBody(POST_SCHEMA, req.body);
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+  const { tag_ids: tagIds, ...fields } = body;
+  const payload = withRenderedContent(fields);
+
+  if (touchesPublishing(payload) && !adminCan(req, "posts:publish")) {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+
+  const scheduleErrors = postScheduleErrors(payload);
+  if (scheduleErrors.length > 0) {
+    return sendValidationError(res, scheduleErrors);
+  }
+  const { errors: tagErrors, error: tagLookupError } = await unknownTagErrors(tagIds);
+  if (tagLookupError) {
+    return res.status(500).json({ error: tagLookupError.message });
+  }
+  if (tagErrors.length > 0) {
+    return sendValidationError(res, tagErrors);
+  }
+
+  const { data, error } = await db.posts.create(payload);
+  if (error) {
+    return sendDbError(res, error);
+  }
+
+  if (Array.isArray(tagIds)) {
+    const { error: tagsError } = await setPostTags(data.id, tagIds);
+    if (tagsError) {
+      return sendDbError(res, tagsError);
+    }
+  }
+
+  const [post] = await attachPostTaxonomy([data]);
+  await recordPostRevision(req, data, "create");
+  await recordAudit(req, "post.create", { entityId: data.id, after: post });
+  return res.json(post);
+});
+
+app.put("/api/admin/posts/:id", requirePermission("posts:write"), async (req, res) => {
+  const { id } = req.params;
+  const { payload: body, errors } = validateBody(POST_SCHEMA, req.body, { partial: true });
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+  const { tag_ids: tagIds, ...fields } = body;
+  const payload = withRenderedContent(fields);
+
+  if (touchesPublishing(payload) && !adminCan(req, "posts:publish")) {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+
+  const before = await db.posts.findById(id);
+  if (!before) {
+    return res.status(404).json({ error: "Post not found" });
+  }
+
+  const scheduleErrors = postScheduleErrors(payload, before);
+  if (scheduleErrors.length > 0) {
+    return sendValidationError(res, scheduleErrors);
+  }
+  const { errors: tagErrors, error: tagLookupError } = await unknownTagErrors(tagIds);
+  if (tagLookupError) {
+    return res.status(500).json({ error: tagLookupError.message });
+  }
+  if (tagErrors.length > 0) {
+    return sendValidationError(res, tagErrors);
+  }
+  const [beforeWithTaxonomy] = await attachPostTaxonomy([before]);
+
+  const { data, error } =
+    Object.keys(payload).length > 0
+      ? await db.posts.update(id, payload)
+      : { data: before };
+
+  if (error) {
+    return sendDbError(res, error);
+  }
+
+  if (Array.isArray(tagIds)) {
+    const { error: tagsError } = await setPostTags(id, tagIds);
+    if (tagsError) {
+      return sendDbError(res, tagsError);
+    }
+  }
+
+  const [post] = await attachPostTaxonomy([data]);
+  await ensureBaselineRevision(req, before);
+  await recordPostRevision(req, data, "update");
+  await recordAudit(req, "post.update", { entityId: id, before: beforeWithTaxonomy, after: post });
+  return res.json(post);
+});
+
+app.delete("/api/admin/posts/:id", requirePermission("posts:delete"), async (req, res) => {
+  const { id } = req.params;
+
+  const before = await db.posts.findById(id);
+  const { error } = await db.posts.remove(id);
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  await recordAudit(req, "post.delete", { entityId: id, before });
+  return res.json({ success: true });
+});
+
+// With a future `publish_at` the post is scheduled instead of going live now; `unpublish_at`
+// optionally takes it down again later.
+app.post("/api/admin/posts/:id/publish", requirePermission("posts:publish"), async (req, res) => {
+  const { id } = req.params;
+  const { publish_at, unpublish_at } = req.body || {};
+
+  const publishAt = publish_at ? new Date(publish_at) : null;
+  const unpublishAt = unpublish_at ? new Date(unpublish_at) : null;
+  if ([publishAt, unpublishAt].some((date) => date && Number.isNaN(date.getTime()))) {
+    return res.status(400).json({ error: "Invalid publish_at or unpublish_at" });
+  }
+
+  const now = new Date();
+  const scheduled = Boolean(publishAt && publishAt > now);
+  if (unpublishAt && unpublishAt <= (scheduled ? publishAt : now)) {
+    return res.status(400).json({ error: "unpublish_at must be after the publish time" });
+  }
+
+  const payload = {
+    status: scheduled ? "scheduled" : "published",
+    published_at: (scheduled ? publishAt : now).toISOString(),
+    publish_at: scheduled ? publishAt.toISOString() : null,
+    unpublish_at: unpublishAt ? unpublishAt.toISOString() : null,
+  };
+  const event = scheduled ? "schedule" : "publish";
+
+  const before = await db.posts.findById(id);
+  const { data, error } = await db.posts.update(id, payload);
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  await ensureBaselineRevision(req, before);
+  await recordPostRevision(req, data, event);
+  await recordAudit(req, `post.${event}`, { entityId: id, before, after: data });
+  return res.json(data);
+});
+
+app.post("/api/admin/posts/:id/unpublish", requirePermission("posts:publish"), async (req, res) => {
+  const { id } = req.params;
+  const payload = { status: "draft", published_at: null, publish_at: null, unpublish_at: null };
+
+  const before = await db.posts.findById(id);
+  const { data, error } = await db.posts.update(id, payload);
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  await ensureBaselineRevision(req, before);
+  await recordPostRevision(req, data, "unpublish");
+  await recordAudit(req, "post.unpublish", { entityId: id, before, after: data });
+  return res.json(data);
+});
+
+app.get("/api/admin/posts/:id/revisions", requirePermission("posts:read"), async (req, res) => {
+  const { id } = req.params;
+
+  const { data, error } = await supabase
+    .from("post_revisions")
+    .select("id,post_id,event,title,slug,editor_email,created_at")
+    .eq("post_id", id)
+    .order("created_at", { ascending: false });
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  return res.json({ revisions: data || [] });
+});
+
+const loadRevisionSnapshot = async (postId, revisionId) => {
+  if (!revisionId || revisionId === "current") {
+    return db.posts.findById(postId);
+  }
+  const { data } = await supabase
+    .from("post_revisions")
+    .select("snapshot")
+    .eq("id", revisionId)
+    .eq("post_id", postId)
+    .maybeSingle();
+  return data ? data.snapshot : null;
+};
+
+// `to` defaults to the post as it is now, so `?from=<revisionId>` shows everything since then.
+app.get(
+  "/api/admin/posts/:id/revisions/diff",
+  requirePermission("posts:read"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { from, to } = req.query;
+    if (!from) {
+      return res.status(400).json({ error: "Missing from revision" });
+    }
+
+    const [before, after] = await Promise.all([
+      loadRevisionSnapshot(id, from),
+      loadRevisionSnapshot(id, to),
+    ]);
+    if (!before || !after) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    return res.json({ from, to: to || "current", ...diffPostSnapshots(before, after) });
+  }
+);
+
+app.get(
+  "/api/admin/posts/:id/revisions/:revisionId",
+  requirePermission("posts:read"),
+  async (req, res) => {
+    const { id, revisionId } = req.params;
+
+    const { data, error } = await supabase
+      .from("post_revisions")
+      .select("*")
+      .eq("id", revisionId)
+      .eq("post_id", id)
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+    if (!data) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    return res.json(data);
+  }
+);
+
+app.post(
+  "/api/admin/posts/:id/revisions/:revisionId/restore",
+  requirePermission("posts:write"),
+  async (req, res) => {
+    const { id, revisionId } = req.params;
+
+    const snapshot = await loadRevisionSnapshot(id, revisionId);
+    if (!snapshot || revisionId === "current") {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    const before = await db.posts.findById(id);
+    if (!before) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    // Restoring always lands as a draft, which takes a live post offline.
+    if (before.status !== "draft" && !adminCan(req, "posts:publish")) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    const payload = withRenderedContent({
+      ...snapshot,
+      content: snapshot.content ?? null,
+      status: "draft",
+      published_at: null,
+      publish_at: null,
+      unpublish_at: null,
+    });
+    for (const field of ["id", "created_at", "updated_at", "search_vector"]) {
+      delete payload[field];
+    }
+
+    const { data, error } = await db.posts.update(id, payload);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    await ensureBaselineRevision(req, before);
+    await recordPostRevision(req, data, "restore");
+    await recordAudit(req, "post.restore", { entityId: id, before, after: data });
+    return res.json(data);
+  }
+);
+
+// `?all=true` includes revoked and expired links.
+app.get("/api/admin/posts/:id/previews", requirePermission("posts:read"), async (req, res) => {
+  let query = supabase
+    .from("post_previews")
+    .select("*")
+    .eq("post_id", req.params.id)
+    .order("created_at", { ascending: false });
+
+  if (req.query.all !== "true") {
+    query = query.is("revoked_at", null).gt("expires_at", new Date().toISOString());
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  return res.json({ previews: (data || []).map(presentPostPreview) });
+});
+
+app.post("/api/admin/posts/:id/previews", requirePermission("posts:write"), async (req, res) => {
+  const { id } = req.params;
+  const { expires_in_hours: hours = POST_PREVIEW_TTL_HOURS } = req.body || {};
+  if (!Number.isInteger(hours) || hours < 1 || hours > POST_PREVIEW_MAX_TTL_HOURS) {
+    return sendValidationError(res, [
+      {
+        field: "expires_in_hours",
+        message: `Must be an integer between 1 and ${POST_PREVIEW_MAX_TTL_HOURS}`,
+      },
+    ]);
+  }
+
+  const post = await db.posts.findById(id, "id");
+  if (!post) {
+    return res.status(404).json({ error: "Post not found" });
+  }
+
+  const { data, error } = await supabase
+    .from("post_previews")
+    .insert([
+      {
+        post_id: id,
+        created_by: req.adminEmail,
+        expires_at: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString(),
+      },
+    ])
+    .select("*")
+    .single();
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  await recordAudit(req, "post_preview.create", { entityId: data.id, after: data });
+  return res.json(presentPostPreview(data));
+});
+
+app.delete(
+  "/api/admin/posts/:id/previews/:previewId",
+  requirePermission("posts:write"),
+  async (req, res) => {
+    const { id, previewId } = req.params;
+
+    const before = await fetchRowById("post_previews", previewId);
+    if (!before || before.post_id !== id) {
+      return res.status(404).json({ error: "Preview not found" });
+    }
+
+    const { data, error } = await supabase
+      .from("post_previews")
+      .update({ revoked_at: before.revoked_at || new Date().toISOString() })
+      .eq("id", previewId)
+      .select("*")
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    await recordAudit(req, "post_preview.revoke", { entityId: previewId, before, after: data });
+    return res.json({ success: true });
+  }
+);
+
+// --- Admin Taxonomy Endpoints ---
+for (const [table, { entity, schema }] of Object.entries(TAXONOMIES)) {
+  app.get(`/api/admin/${table}`, requirePermission("posts:read"), async (req, res) => {
+    const { data, error } = await supabase
+      .from(table)
+      .select("*")
+      .order("name", { ascending: true });
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    return res.json({ [table]: data || [] });
+  });
+
+  app.post(`/api/admin/${table}`, requirePermission("taxonomy:manage"), async (req, res) => {
+    const { payload, errors } = validateBody(schema, req.body);
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+    payload.slug = payload.slug || slugify(payload.name);
+
+    const { data, error } = await supabase.from(table).insert([payload]).select("*").single();
+    if (error) {
+      return sendDbError(res, error);
+    }
+
+    await recordAudit(req, `${entity}.create`, { entityId: data.id, after: data });
+    return res.json(data);
+  });
+
+  app.put(`/api/admin/${table}/:id`, requirePermission("taxonomy:manage"), async (req, res) => {
+    const { id } = req.params;
+    const { payload, errors } = validateBody(schema, req.body, { partial: true });
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    const before = await fetchRowById(table, id);
+    if (!before) {
+      return res.status(404).json({ error: "Not found" });
+    }
+    if (Object.keys(payload).length === 0) {
+      return res.json(before);
+    }
+
+    const { data, error } = await supabase
+      .from(table)
+      .update(payload)
+      .eq("id", id)
+      .select("*")
+      .single();
+
+    if (error) {
+      return sendDbError(res, error);
+    }
+
+    await recordAudit(req, `${entity}.update`, { entityId: id, before, after: data });
+    return res.json(data);
+  });
+
+  app.delete(`/api/admin/${table}/:id`, requirePermission("taxonomy:manage"), async (req, res) => {
+    const { id } = req.params;
+
+    const before = await fetchRowById(table, id);
+    const { error } = await supabase.from(table).delete().eq("id", id);
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    await recordAudit(req, `${entity}.delete`, { entityId: id, before });
+    return res.json({ success: true });
+  });
+}
+
+// --- Admin Products Endpoints ---
+// Matches the `products_status_check` constraint (migrations/0023_product_status_check.up.sql).
+const PRODUCT_STATUSES = ["draft", "active", "archived"];
+
+const PRODUCT_SCHEMA = {
+  fields: {
+    name: { type: "string", required: true, min: 1, max: 200 },
+    slug: { type: "slug", max: 200 },
+    subtitle: { type: "string", max: 200 },
+    description: { type: "string", required: true, min: 1, max: 20000 },
+    status: { type: "enum", values: PRODUCT_STATUSES },
+    image_url: { type: "url", relative: true, max: 2048 },
+    cta_url: { type: "url", relative: true, max: 2048 },
+    price: { type: "number", min: 0 },
+    sort_order: { type: "integer" },
+  },
+  ignore: ["id", "created_at", "updated_at", "search_vector", "search"],
+};
+
+app.get("/api/admin/products", requirePermission("products:read"), async (req, res) => {
+  const { q } = req.query;
+  const { data, error } = q
+    ? await searchAdminRows("product", q)
+    : await db.products.list({ order: "updated_at" });
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  return res.json({ products: data || [] });
+});
+
+app.post("/api/admin/products", requirePermission("products:write"), async (req, res) => {
+  const { payload, errors } = validateBody(PRODUCT_SCHEMA, req.body);
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+
+  const { data, error } = await db.products.create(payload);
+  if (error) {
+    return sendDbError(res, error);
+  }
+
+  await recordAudit(req, "product.create", { entityId: data.id, after: data });
+  return res.json(data);
+});
+
+// Legacy base64 upload kept for existing clients; prefer POST /api/admin/uploads/images.
+// The declared content type is ignored: the bytes go through the same checks and variants.
+app.post("/api/admin/products/upload-image", requirePermission("products:write"), async (req, res) => {
+  const { dataUrl, filename } = req.body || {};
+  if (!dataUrl || !filename) {
+    return res.status(400).json({ error: "Missing dataUrl or filename" });
+  }
+
+  const match = String(dataUrl).match(/^data:(.+);base64,(.+)$/);
+  if (!match) {
+    return res.status(400).json({ error: "Invalid data URL" });
+  }
+
+  const buffer = Buffer.from(match[2], "base64");
+  if (buffer.length > UPLOAD_MAX_BYTES) {
+    return res.status(413).json({ error: `File exceeds ${UPLOAD_MAX_BYTES} bytes` });
+  }
+
+  try {
+    const upload = await storeImageUpload({ buffer, filename, target: "products" });
+    const media = await recordMedia(req, upload, { filename, target: "products" });
+
+    await recordAudit(req, "image.upload", {
+      entityId: upload.variants.original.path,
+      after: { target: "products", filename, ...upload },
+    });
+    return res.json({ ...upload, url: upload.variants.original.url, media });
+  } catch (err) {
+    if (err instanceof UploadError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    throw err;
+  }
+});
+
+app.put("/api/admin/products/:id", requirePermission("products:write"), async (req, res) => {
+  const { id } = req.params;
+  const { payload, errors } = validateBody(PRODUCT_SCHEMA, req.body, { partial: true });
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+
+  const before = await db.products.findById(id);
+  if (!before) {
+    return res.status(404).json({ error: "Product not found" });
+  }
+  if (Object.keys(payload).length === 0) {
+    return res.json(before);
+  }
+
+  const { data, error } = await db.products.update(id, payload);
+
+  if (error) {
+    return sendDbError(res, error);
+  }
+
+  await recordAudit(req, "product.update", { entityId: id, before, after: data });
+  return res.json(data);
+});
+
+app.delete("/api/admin/products/:id", requirePermission("products:delete"), async (req, res) => {
+  const { id } = req.params;
+
+  const before = await db.products.findById(id);
+  const { error } = await db.products.remove(id);
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  await recordAudit(req, "product.delete", { entityId: id, before });
+  return res.json({ success: true });
+});
+
+// --- Admin Image Uploads ---
+const UPLOAD_BUCKET = process.env.UPLOAD_BUCKET || "product-images";
+const UPLOAD_MAX_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES, 10) || 10 * 1024 * 1024;
+// Rejects decompression bombs: a tiny file that decodes to an enormous bitmap.
+const UPLOAD_MAX_PIXELS = parseInt(process.env.UPLOAD_MAX_PIXELS, 10) || 50 * 1000 * 1000;
+
+// Where each kind of image lives and who may upload it.
+const UPLOAD_TARGETS = {
+  products: { folder: "products", permission: "products:write" },
+  posts: { folder: "posts", permission: "posts:write" },
+};
+
+// Longest edge in pixels; `original` keeps the full size but is still re-encoded.
+const IMAGE_VARIANTS = { thumbnail: 320, medium: 800, large: 1600, original: null };
+
+const hasBytes = (buffer, offset, expected) =>
+  buffer.subarray(offset, offset + expected.length).equals(Buffer.from(expected));
+
+// Allowed types, recognised by their leading bytes rather than the client's Content-Type.
+// SVG is deliberately absent: it can carry scripts.
+const IMAGE_SIGNATURES = [
+  {
+    format: "jpeg",
+    ext: "jpg",
+    contentType: "image/jpeg",
+    test: (b) => hasBytes(b, 0, [0xff, 0xd8, 0xff]),
+  },
+  {
+    format: "png",
+    ext: "png",
+    contentType: "image/png",
+    test: (b) => hasBytes(b, 0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  {
+    format: "gif",
+    ext: "gif",
+    contentType: "image/gif",
+    test: (b) => hasBytes(b, 0, "GIF87a") || hasBytes(b, 0, "GIF89a"),
+  },
+  {
+    format: "webp",
+    ext: "webp",
+    contentType: "image/webp",
+    test: (b) => hasBytes(b, 0, "RIFF") && hasBytes(b, 8, "WEBP"),
+  },
+  {
+    format: "avif",
+    ext: "avif",
+    contentType: "image/avif",
+    test: (b) => hasBytes(b, 4, "ftypavif") || hasBytes(b, 4, "ftypavis"),
+  },
+];
+
+const sniffImageType = (buffer) => IMAGE_SIGNATURES.find(({ test }) => test(buffer)) || null;
+
+class UploadError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Streams a multipart body and buffers its single `file` part, stopping at `maxBytes`.
+const readMultipartFile = (req, { maxBytes = UPLOAD_MAX_BYTES } = {}) =>
+  new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        limits: { files: 1, fields: 20, fileSize: maxBytes },
+      });
+    } catch {
+      reject(new UploadError(400, "Expected a multipart/form-data body"));
+      return;
+    }
+
+    const fields = {};
+    let file = null;
+    let truncated = false;
+
+    parser.on("field", (name, value) => {
+      fields[name] = value;
+    });
+    parser.on("file", (name, stream, { filename, mimeType }) => {
+      if (name !== "file") {
+        stream.resume();
+        return;
+      }
+      const chunks = [];
+      stream.on("data", (chunk) => chunks.push(chunk));
+      stream.on("limit", () => {
+        truncated = true;
+      });
+      stream.on("end", () => {
+        file = { buffer: Buffer.concat(chunks), filename: filename || "upload", mimeType };
+      });
+    });
+    parser.on("error", () => reject(new UploadError(400, "Malformed multipart body")));
+    parser.on("close", () => {
+      if (truncated) {
+        reject(new UploadError(413, `File exceeds ${UPLOAD_MAX_BYTES} bytes`));
+      } else if (!file || file.buffer.length === 0) {
+        reject(new UploadError(400, "Missing file field"));
+      } else {
+        resolve({ file, fields });
+      }
+    });
+
+    req.pipe(parser);
+  });
+
+const encodeImage = (pipeline, format) => {
+  switch (format) {
+    case "jpeg":
+      return pipeline.jpeg({ quality: 82, mozjpeg: true });
+    case "png":
+      return pipeline.png({ compressionLevel: 9 });
+    case "webp":
+      return pipeline.webp({ quality: 82 });
+    case "gif":
+      return pipeline.gif();
+    default:
+      return pipeline.avif({ quality: 55 });
+  }
+};
+
+// Validates the bytes, then re-encodes every variant (which drops EXIF/GPS metadata after
+// applying its orientation) and uploads them side by side under one object prefix.
+const storeImageUpload = async ({ buffer, filename, target }) => {
+  const type = sniffImageType(buffer);
+  if (!type) {
+    throw new UploadError(415, "Unsupported image type (allowed: JPEG, PNG, GIF, WebP, AVIF)");
+  }
+
+  const animated = type.format === "gif" || type.format === "webp";
+  const image = sharp(buffer, { animated, limitInputPixels: UPLOAD_MAX_PIXELS, failOn: "error" });
+  let metadata;
+  try {
+    metadata = await image.metadata();
+  } catch {
+    throw new UploadError(400, "File is not a readable image");
+  }
+
+  const baseName = path
+    .parse(filename)
+    .name.replace(/[^a-zA-Z0-9._-]/g, "_")
+    .slice(0, 80);
+  const prefix = `${UPLOAD_TARGETS[target].folder}/${Date.now()}-${baseName || "image"}`;
+
+  const variants = {};
+  for (const [variant, size] of Object.entries(IMAGE_VARIANTS)) {
+    let pipeline = image.clone().rotate();
+    if (size) {
+      pipeline = pipeline.resize({
+        width: size,
+        height: size,
+        fit: "inside",
+        withoutEnlargement: true,
+      });
+    }
+    const { data, info } = await encodeImage(pipeline, type.format).toBuffer({
+      resolveWithObject: true,
+    });
+
+    const objectPath = `${prefix}/${variant}.${type.ext}`;
+    const { error } = await supabase.storage
+      .from(UPLOAD_BUCKET)
+      .upload(objectPath, data, { contentType: type.contentType, upsert: true });
+    if (error) {
+      throw new UploadError(500, error.message);
+    }
+
+    const { data: urlData } = supabase.storage.from(UPLOAD_BUCKET).getPublicUrl(objectPath);
+    variants[variant] = {
+      url: urlData.publicUrl,
+      path: objectPath,
+      width: info.width,
+      height: info.pageHeight || info.height,
+      size: data.length,
+    };
+  }
+
+  return {
+    url: variants.large.url,
+    contentType: type.contentType,
+    width: variants.original.width,
+    height: variants.original.height,
+    pages: metadata.pages || 1,
+    variants,
+  };
+};
+
+// multipart/form-data with a single `file` part and an optional `alt_text` field;
+// `?target=products|posts` (default products) picks the folder and the permission required.
+app.post("/api/admin/uploads/images", requireAdmin, async (req, res) => {
+  const target = req.query.target || "products";
+  if (!UPLOAD_TARGETS[target]) {
+    return res.status(400).json({ error: `Unknown target: ${target}` });
+  }
+  if (!adminCan(req, UPLOAD_TARGETS[target].permission)) {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+
+  try {
+    const { file, fields } = await readMultipartFile(req);
+    const upload = await storeImageUpload({ buffer: file.buffer, filename: file.filename, target });
+    const media = await recordMedia(req, upload, {
+      filename: file.filename,
+      target,
+      altText: fields.alt_text || null,
+    });
+
+    await recordAudit(req, "image.upload", {
+      entityId: upload.variants.original.path,
+      after: { target, filename: file.filename, ...upload },
+    });
+    return res.json({ ...upload, media });
+  } catch (err) {
+    if (err instanceof UploadError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    throw err;
+  }
+});
+
+// --- Admin Media Library ---
+// Columns that may embed an uploaded image URL, scanned to find where each asset is used. Keyed
+// by repository.
+const MEDIA_REFERENCE_FIELDS = {
+  posts: { entity: "post", label: "title", fields: ["cover_image_url", "content"] },
+  products: { entity: "product", label: "name", fields: ["image_url", "description"] },
+};
+// Tables without a repository that also keep image URLs: sent newsletters and post revisions
+// (which can be restored) must not lose their images either. `keys` are extra columns to load.
+const MEDIA_REFERENCE_TABLES = {
+  newsletters: { entity: "newsletter", label: "subject", keys: [], fields: ["html"] },
+  post_revisions: { entity: "post_revision", label: "title", keys: ["slug"], fields: ["snapshot"] },
+};
+const MEDIA_CLEANUP_INTERVAL_MS =
+  parseInt(process.env.MEDIA_CLEANUP_INTERVAL_MS, 10) || 24 * 60 * 60 * 1000;
+// "report" only logs what could go; "remove" deletes it.
+const MEDIA_CLEANUP_MODE = process.env.MEDIA_CLEANUP_MODE === "remove" ? "remove" : "report";
+// Fresh uploads are usually not referenced yet because the post/product is still being edited.
+const MEDIA_CLEANUP_GRACE_HOURS = parseInt(process.env.MEDIA_CLEANUP_GRACE_HOURS, 10) || 72;
+const MEDIA_CLEANUP_ACTOR = { adminEmail: "system:media-cleanup" };
+
+const MEDIA_SCHEMA = {
+  fields: { alt_text: { type: "string", max: 500 } },
+  ignore: [
+    "id",
+    "bucket",
+    "path",
+    "url",
+    "variants",
+    "filename",
+    "target",
+    "content_type",
+    "size_bytes",
+    "width",
+    "height",
+    "uploaded_by",
+    "created_at",
+    "references",
+    "referenceCount",
+  ],
+};
+
+const mediaObjectPaths = (media) =>
+  media.variants ? Object.values(media.variants).map((variant) => variant.path) : [media.path];
+
+const recordMedia = async (req, upload, { filename, target, altText = null }) => {
+  const { variants } = upload;
+  const { data, error } = await supabase
+    .from("media")
+    .insert([
+      {
+        bucket: UPLOAD_BUCKET,
+        path: variants.original.path.slice(0, variants.original.path.lastIndexOf("/")),
+        url: upload.url,
+        variants,
+        filename,
+        target,
+        content_type: upload.contentType,
+        size_bytes: Object.values(variants).reduce((total, variant) => total + variant.size, 0),
+        width: upload.width,
+        height: upload.height,
+        alt_text: altText,
+        uploaded_by: req.adminEmail,
+      },
+    ])
+    .select("*")
+    .single();
+
+  if (error) {
+    log.error("Media insert error", { err: error });
+  }
+  return data || null;
+};
+
+const mediaReferenceText = (value) =>
+  value && typeof value === "object" ? JSON.stringify(value) : value || "";
+
+// Every post/product/newsletter/revision with the text of its media-bearing columns, loaded once
+// per scan.
+const loadMediaReferenceCorpus = async () => {
+  const sources = [
+    ...Object.entries(MEDIA_REFERENCE_FIELDS).map(([repository, source]) => ({
+      ...source,
+      load: (columns) => db[repository].list({ columns: ["slug", ...columns].join(",") }),
+    })),
+    ...Object.entries(MEDIA_REFERENCE_TABLES).map(([table, { keys, ...source }]) => ({
+      ...source,
+      load: (columns) => supabase.from(table).select([...keys, ...columns].join(",")),
+    })),
+  ];
+
+  const corpus = [];
+  for (const { entity, label, fields, load } of sources) {
+    const { data, error } = await load(["id", label, ...fields]);
+    if (error) {
+      return { error };
+    }
+    for (const row of data || []) {
+      corpus.push({
+        type: entity,
+        id: row.id,
+        slug: row.slug ?? null,
+        title: row[label],
+        text: fields.map((field) => mediaReferenceText(row[field])).join("\n"),
+      });
+    }
+  }
+  return { corpus };
+};
+
+const findMediaReferences = (paths, corpus) =>
+  corpus
+    .filter(({ text }) => paths.some((objectPath) => text.includes(objectPath)))
+    .map(({ type, id, slug, title }) => ({ type, id, slug, title }));
+
+const removeMediaObjects = async (bucket, paths) => {
+  if (paths.length === 0) return { error: null };
+  const { error } = await supabase.storage.from(bucket).remove(paths);
+  return { error };
+};
+
+// Files under each upload folder, descending into per-upload variant folders.
+const listStorageFiles = async (prefix) => {
+  const files = [];
+  for (let offset = 0; ; offset += 1000) {
+    const { data, error } = await supabase.storage
+      .from(UPLOAD_BUCKET)
+      .list(prefix, { limit: 1000, offset });
+    if (error) throw new Error(error.message);
+
+    for (const entry of data || []) {
+      const entryPath = `${prefix}/${entry.name}`;
+      if (entry.id) {
+        files.push({ path: entryPath, createdAt: entry.created_at });
+      } else {
+        files.push(...(await listStorageFiles(entryPath)));
+      }
+    }
+    if (!data || data.length < 1000) return files;
+  }
+};
+
+// Finds media rows nobody references plus untracked bucket files (uploads from before the media
+// table, or whose row insert failed) and, unless `dryRun`, deletes both.
+const runMediaCleanup = async ({ dryRun = true, graceHours = MEDIA_CLEANUP_GRACE_HOURS } = {}) => {
+  const cutoff = Date.now() - graceHours * 60 * 60 * 1000;
+  const { corpus, error: corpusError } = await loadMediaReferenceCorpus();
+  if (corpusError) throw new Error(corpusError.message);
+
+  const { data: media, error } = await supabase.from("media").select("*");
+  if (error) throw new Error(error.message);
+
+  const trackedPaths = new Set((media || []).flatMap(mediaObjectPaths));
+  const unreferencedMedia = (media || []).filter(
+    (item) =>
+      new Date(item.created_at).getTime() < cutoff &&
+      findMediaReferences(mediaObjectPaths(item), corpus).length === 0
+  );
+
+  const untrackedFiles = [];
+  for (const { folder } of Object.values(UPLOAD_TARGETS)) {
+    for (const file of await listStorageFiles(folder)) {
+      if (trackedPaths.has(file.path)) continue;
+      if (file.createdAt && new Date(file.createdAt).getTime() >= cutoff) continue;
+      if (findMediaReferences([file.path], corpus).length > 0) continue;
+      untrackedFiles.push(file.path);
+    }
+  }
+
+  const report = {
+    dryRun,
+    graceHours,
+    media: unreferencedMedia.map(({ id, path: mediaPath, url, size_bytes }) => ({
+      id,
+      path: mediaPath,
+      url,
+      size_bytes,
+    })),
+    untracked: untrackedFiles,
+  };
+  if (dryRun) return report;
+
+  const { error: removeError } = await removeMediaObjects(UPLOAD_BUCKET, [
+    ...unreferencedMedia.flatMap(mediaObjectPaths),
+    ...untrackedFiles,
+  ]);
+  if (removeError) throw new Error(removeError.message);
+
+  if (unreferencedMedia.length > 0) {
+    const { error: deleteError } = await supabase
+      .from("media")
+      .delete()
+      .in("id", unreferencedMedia.map((item) => item.id));
+    if (deleteError) throw new Error(deleteError.message);
+  }
+  return report;
+};
+
+const startMediaCleanup = () => {
+  const tick = async () => {
+    try {
+      const report = await runMediaCleanup({ dryRun: MEDIA_CLEANUP_MODE !== "remove" });
+      if (report.media.length > 0 || report.untracked.length > 0) {
+        log.info("Media cleanup", {
+          mode: MEDIA_CLEANUP_MODE,
+          unreferencedMedia: report.media.length,
+          untrackedFiles: report.untracked.length,
+        });
+      }
+      if (!report.dryRun) {
+        await recordAudit(MEDIA_CLEANUP_ACTOR, "media.cleanup", { after: report });
+      }
+    } catch (err) {
+      log.error("Media cleanup error", { err: err });
+    }
+  };
+  return setInterval(tick, MEDIA_CLEANUP_INTERVAL_MS);
+};
+
+// PostgREST `or=` filters are comma/parenthesis delimited, so those characters can't be searched.
+const ilikePattern = (value) => `%${String(value).replace(/[,()%*\\]/g, " ").trim()}%`;
+
+app.get("/api/admin/media", requirePermission("media:read"), async (req, res) => {
+  const { page, limit, from, to } = parsePagination(req);
+  const { q, target, type } = req.query;
+
+  let query = supabase
+    .from("media")
+    .select("*", { count: "exact" })
+    .order("created_at", { ascending: false })
+    .range(from, to);
+
+  if (q) {
+    const pattern = ilikePattern(q);
+    query = query.or(`filename.ilike.${pattern},alt_text.ilike.${pattern}`);
+  }
+  if (target) query = query.eq("target", target);
+  if (type) query = query.eq("content_type", type);
+
+  const [{ data, error, count }, { corpus, error: corpusError }] = await Promise.all([
+    query,
+    loadMediaReferenceCorpus(),
+  ]);
+  if (error || corpusError) {
+    return res.status(500).json({ error: (error || corpusError).message });
+  }
+
+  const media = (data || []).map((item) => ({
+    ...item,
+    referenceCount: findMediaReferences(mediaObjectPaths(item), corpus).length,
+  }));
+  const totalPages = count ? Math.ceil(count / limit) : 1;
+  return res.json({ media, page, totalPages, total: count || 0 });
+});
+
+app.get("/api/admin/media/:id", requirePermission("media:read"), async (req, res) => {
+  const media = await fetchRowById("media", req.params.id);
+  if (!media) {
+    return res.status(404).json({ error: "Media not found" });
+  }
+
+  const { corpus, error } = await loadMediaReferenceCorpus();
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  return res.json({ ...media, references: findMediaReferences(mediaObjectPaths(media), corpus) });
+});
+
+app.put("/api/admin/media/:id", requirePermission("media:write"), async (req, res) => {
+  const { id } = req.params;
+  const { payload, errors } = validateBody(MEDIA_SCHEMA, req.body, { partial: true });
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+
+  const before = await fetchRowById("media", id);
+  if (!before) {
+    return res.status(404).json({ error: "Media not found" });
+  }
+  if (Object.keys(payload).length === 0) {
+    return res.json(before);
+  }
+
+  const { data, error } = await supabase
+    .from("media")
+    .update(payload)
+    .eq("id", id)
+    .select("*")
+    .single();
+
+  if (error) {
+    return sendDbError(res, error);
+  }
+
+  await recordAudit(req, "media.update", { entityId: id, before, after: data });
+  return res.json(data);
+});
+
+// Refuses to delete an asset that is still in use unless `?force=true`.
+app.delete("/api/admin/media/:id", requirePermission("media:delete"), async (req, res) => {
+  const { id } = req.params;
+  const before = await fetchRowById("media", id);
+  if (!before) {
+    return res.status(404).json({ error: "Media not found" });
+  }
+
+  const { corpus, error: corpusError } = await loadMediaReferenceCorpus();
+  if (corpusError) {
+    return res.status(500).json({ error: corpusError.message });
+  }
+  const references = findMediaReferences(mediaObjectPaths(before), corpus);
+  if (references.length > 0 && req.query.force !== "true") {
+    return res.status(409).json({ error: "Media is still in use", references });
+  }
+
+  const { error: removeError } = await removeMediaObjects(before.bucket, mediaObjectPaths(before));
+  if (removeError) {
+    return res.status(500).json({ error: removeError.message });
+  }
+
+  const { error } = await supabase.from("media").delete().eq("id", id);
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  await recordAudit(req, "media.delete", { entityId: id, before });
+  return res.json({ success: true });
+});
+
+// `{ dryRun: false }` actually deletes; the default only reports.
+app.post("/api/admin/media/cleanup", requirePermission("media:manage"), async (req, res) => {
+  const { dryRun = true, graceHours } = req.body || {};
+
+  let report;
+  try {
+    report = await runMediaCleanup({
+      dryRun: dryRun !== false,
+      graceHours: Number.isInteger(graceHours) && graceHours >= 0 ? graceHours : undefined,
+    });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+
+  if (!report.dryRun) {
+    await recordAudit(req, "media.cleanup", { after: report });
+  }
+  return res.json(report);
+});
+
+// --- Admin Banner Endpoints ---
+const BANNER_SCHEMA = {
+  fields: {
+    product: { type: "string", required: true, min: 1, max: 120 },
+    message: { type: "string", required: true, min: 1, max: 500 },
+    href: { type: "url", relative: true, max: 2048 },
+    is_active: { type: "boolean", default: false },
+    starts_at: { type: "datetime" },
+    ends_at: { type: "datetime" },
+    priority: { type: "integer", default: 0 },
+    target_paths: { type: "list", items: { type: "string", min: 1, max: 300 }, default: [] },
+    target_products: { type: "list", items: { type: "string", min: 1, max: 120 }, default: [] },
+  },
+  ignore: ["id", "created_at", "updated_at", "state"],
+};
+
+app.get("/api/admin/banners", requirePermission("banners:read"), async (req, res) => {
+  const { state } = req.query;
+  const { data, error } = await db.banners.list();
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  const now = Date.now();
+  const banners = (data || []).map((banner) => ({ ...banner, state: bannerState(banner, now) }));
+  return res.json({
+    banners: state ? banners.filter((banner) => banner.state === state) : banners,
+  });
+});
+
+app.post("/api/admin/banners", requirePermission("banners:write"), async (req, res) => {
+  const { payload, errors } = validateBody(BANNER_SCHEMA, req.body);
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+
+  const { starts_at, ends_at } = payload;
+  if (starts_at && ends_at && new Date(ends_at) <= new Date(starts_at)) {
+    return sendValidationError(res, [{ field: "ends_at", message: "Must be after starts_at" }]);
+  }
+
+  const { data, error } = await db.banners.create(payload);
+
+  if (error) {
+    return sendDbError(res, error);
+  }
+
+  await recordAudit(req, "banner.create", { entityId: data.id, after: data });
+  return res.json(data);
+});
+
+app.put("/api/admin/banners/:id", requirePermission("banners:write"), async (req, res) => {
+  const { id } = req.params;
+  const { payload, errors } = validateBody(BANNER_SCHEMA, req.body, { partial: true });
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+
+  const before = await db.banners.findById(id);
+  if (!before) {
+    return res.status(404).json({ error: "Banner not found" });
+  }
+  const startsAt = "starts_at" in payload ? payload.starts_at : before.starts_at;
+  const endsAt = "ends_at" in payload ? payload.ends_at : before.ends_at;
+  if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+    return sendValidationError(res, [{ field: "ends_at", message: "Must be after starts_at" }]);
+  }
+  if (Object.keys(payload).length === 0) {
+    return res.json(before);
+  }
+
+  const { data, error } = await db.banners.update(id, payload);
+
+  if (error) {
+    return sendDbError(res, error);
+  }
+
+  await recordAudit(req, "banner.update", { entityId: id, before, after: data });
+  return res.json(data);
+});
+
+app.post("/api/admin/banners/:id/activate", requirePermission("banners:write"), async (req, res) => {
+  const { id } = req.params;
+
+  const before = await db.banners.findById(id);
+  const { data, error } = await db.banners.update(id, { is_active: true });
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  await recordAudit(req, "banner.activate", { entityId: id, before, after: data });
+  return res.json(data);
+});
+
+app.post("/api/admin/banners/:id/deactivate", requirePermission("banners:write"), async (req, res) => {
+  const { id } = req.params;
+
+  const before = await db.banners.findById(id);
+  const { data, error } = await db.banners.update(id, { is_active: false });
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  await recordAudit(req, "banner.deactivate", { entityId: id, before, after: data });
+  return res.json(data);
+});
+
+app.delete("/api/admin/banners/:id", requirePermission("banners:write"), async (req, res) => {
+  const { id } = req.params;
+
+  const before = await db.banners.findById(id);
+  const { error } = await db.banners.remove(id);
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  await recordAudit(req, "banner.delete", { entityId: id, before });
+  return res.json({ success: true });
+});
+
+// --- Admin Users (Super Admin Only) ---
+app.get("/api/admin/users", requireSuperAdmin, async (req, res) => {
+  const { data, error } = await db.adminUsers.list(ADMIN_USER_COLUMNS);
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  return res.json({ users: data || [] });
+});
+
+const ADMIN_USER_SCHEMA = {
+  fields: {
+    email: { type: "email", required: true, max: 254 },
+    password: { type: "string", required: true, min: 8, max: 200, trim: false },
+    role: { type: "enum", values: Object.keys(ADMIN_ROLES), default: DEFAULT_ADMIN_ROLE },
+  },
+};
+
+const ADMIN_ROLE_SCHEMA = {
+  fields: { role: { type: "enum", values: Object.keys(ADMIN_ROLES), required: true } },
+};
+
+app.post("/api/admin/users", requireSuperAdmin, async (req, res) => {
+  const { payload, errors } = validateBody(ADMIN_USER_SCHEMA, req.body);
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+  const { email, password, role } = payload;
+
+  if (ADMIN_EMAIL && email === ADMIN_EMAIL) {
+    return res.status(400).json({ error: "Cannot add primary admin here" });
+  }
+
+  const password_hash = await bcrypt.hash(password, 10);
+  const { data, error } = await db.adminUsers.create(
+    { email, password_hash, role },
+    ADMIN_USER_COLUMNS
+  );
+
+  if (error) {
+    return sendDbError(res, error);
+  }
+
+  await recordAudit(req, "admin_user.create", { entityId: data.id, after: data });
+  return res.json(data);
+});
+
+app.put("/api/admin/users/:id/role", requireSuperAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { payload, errors } = validateBody(ADMIN_ROLE_SCHEMA, req.body);
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+  const { role } = payload;
+
+  const before = await db.adminUsers.findById(id, ADMIN_USER_COLUMNS);
+  const { data, error } = await db.adminUsers.update(id, { role }, ADMIN_USER_COLUMNS);
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  await recordAudit(req, "admin_user.role_change", { entityId: id, before, after: data });
+  return res.json(data);
+});
+
+app.delete("/api/admin/users/:id", requireSuperAdmin, async (req, res) => {
+  const { id } = req.params;
+
+  const user = await db.adminUsers.findById(id, ADMIN_USER_COLUMNS);
+
+  const { error } = await db.adminUsers.remove(id);
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (user) {
+    await revokeAdminSessions(user.email);
+  }
+
+  await recordAudit(req, "admin_user.delete", { entityId: id, before: user });
+  return res.json({ success: true });
+});
+
+app.post("/api/admin/users/:id/revoke-sessions", requireSuperAdmin, async (req, res) => {
+  const { id } = req.params;
+
+  const user = await db.adminUsers.findById(id, "id,email");
+  if (!user) {
+    return res.status(404).json({ error: "User not found" });
+  }
+
+  const { error } = await revokeAdminSessions(user.email);
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  await recordAudit(req, "admin_user.revoke_sessions", { entityId: id });
+  return res.json({ success: true });
+});
+
+// --- Admin Audit Log (Super Admin Only) ---
+app.get("/api/admin/audit", requireSuperAdmin, async (req, res) => {
+  const { page, limit, from, to } = parsePagination(req);
+  const { actor, entity, entityId, action, since, until } = req.query;
+
+  let query = supabase
+    .from("admin_audit_log")
+    .select("*", { count: "exact" })
+    .order("created_at", { ascending: false })
+    .range(from, to);
+
+  if (actor) query = query.eq("actor_email", actor);
+  if (entity) query = query.eq("entity_type", entity);
+  if (entityId) query = query.eq("entity_id", entityId);
+  if (action) query = query.eq("action", action);
+  if (since) query = query.gte("created_at", since);
+  if (until) query = query.lte("created_at", until);
+
+  const { data, error, count } = await query;
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  const totalPages = count ? Math.ceil(count / limit) : 1;
+  return res.json({ entries: data || [], page, totalPages, total: count || 0 });
+});
+
+// --- Admin Contacts (CRM) ---
+const LEAD_STATUSES = ["new", "contacted", "qualified", "closed"];
+const SUBSCRIPTION_STATUSES = ["subscribed", "pending", "unsubscribed", "none"];
+
+const mergeMessages = (rows) =>
+  [...new Set(rows.map((row) => row.message).filter(Boolean))].join("\n\n---\n\n") || null;
+
+// Folds duplicate contact rows into the primary: latest non-empty profile fields win, messages
+// are kept in submission order, and the most advanced lead status is kept. An unsubscribe newer
+// than every subscribe wins; otherwise the most advanced subscription status is kept.
+const mergeContactRows = (primary, rows) => {
+  const newestFirst = [...rows].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  const latest = (field) => newestFirst.find((row) => row[field])?.[field] ?? null;
+  const mostRecent = (field) =>
+    rows
+      .map((row) => row[field])
+      .filter(Boolean)
+      .reduce((best, value) => (!best || new Date(value) > new Date(best) ? value : best), null);
+  const subscribedAt = mostRecent("subscribed_at");
+  const unsubscribedAt = mostRecent("unsubscribed_at");
+  const optedOut =
+    unsubscribedAt && (!subscribedAt || new Date(unsubscribedAt) > new Date(subscribedAt));
+  const subscriptionRow = optedOut
+    ? { subscription: false, subscription_status: "unsubscribed" }
+    : SUBSCRIPTION_STATUSES.map((status) =>
+        newestFirst.find((row) => (row.subscription_status || "none") === status)
+      ).find(Boolean);
+  const leadStatus = rows
+    .map((row) => row.lead_status || "new")
+    .reduce((best, status) =>
+      LEAD_STATUSES.indexOf(status) > LEAD_STATUSES.indexOf(best) ? status : best
+    );
+
+  return {
+    full_name: latest("full_name"),
+    company: latest("company"),
+    need: latest("need"),
+    message: mergeMessages([...newestFirst].reverse()),
+    assignee_email: primary.assignee_email || latest("assignee_email"),
+    lead_status: leadStatus,
+    subscription: subscriptionRow.subscription === true,
+    subscription_status: subscriptionRow.subscription_status || "none",
+    confirmation_sent_at: latest("confirmation_sent_at"),
+    subscribed_at: subscribedAt,
+    unsubscribed_at: unsubscribedAt,
+    welcome_sent_at: latest("welcome_sent_at"),
+  };
+};
+
+app.get("/api/admin/contacts", requirePermission("contacts:read"), async (req, res) => {
+  const { page, limit, from, to } = parsePagination(req);
+  const { q, need, company, subscribed, status, assignee, since, until } = req.query;
+
+  const { data, error, count } = await db.contacts.list({
+    from,
+    to,
+    q,
+    need,
+    company,
+    subscribed,
+    status,
+    assignee,
+    since,
+    until,
+  });
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  const totalPages = count ? Math.ceil(count / limit) : 1;
+  return res.json({ contacts: data || [], page, totalPages, total: count || 0 });
+});
+
+// Emails that have more than one contact row, e.g. from both /api/contact and /api/subscribe.
+app.get("/api/admin/contacts/duplicates", requirePermission("contacts:read"), async (req, res) => {
+  const { data, error } = await db.contacts.findDuplicateEmails();
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  return res.json({ duplicates: data || [] });
+});
+
+app.get("/api/admin/contacts/:id", requirePermission("contacts:read"), async (req, res) => {
+  const contact = await db.contacts.findById(req.params.id);
+  if (!contact) {
+    return res.status(404).json({ error: "Contact not found" });
+  }
+
+  const [{ data: notes, error }, { data: sameEmail }, { data: inquiries }] = await Promise.all([
+    supabase
+      .from("contact_notes")
+      .select("*")
+      .eq("contact_id", contact.id)
+      .order("created_at", { ascending: false }),
+    db.contacts.listByEmail(contact.email, { ignoreCase: true, columns: "id,created_at" }),
+    supabase
+      .from("automation_inquiries")
+      .select("*")
+      .eq("contact_id", contact.id)
+      .order("created_at", { ascending: false }),
+  ]);
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  return res.json({
+    ...contact,
+    notes: notes || [],
+    inquiries: inquiries || [],
+    duplicates: (sameEmail || []).filter((row) => row.id !== contact.id),
+  });
+});
+
+// Submitted fields (name, email, message, ...) are the lead's own words and stay read-only.
+const CONTACT_SCHEMA = {
+  fields: {
+    lead_status: { type: "enum", values: LEAD_STATUSES },
+    assignee_email: { type: "email", max: 254 },
+  },
+  ignore: ["id", "created_at", "notes", "inquiries", "duplicates"],
+};
+
+const checkAssignee = async (payload) =>
+  payload.assignee_email && !(await findAdminByEmail(payload.assignee_email))
+    ? [{ field: "assignee_email", message: "Not an admin user" }]
+    : null;
+
+app.put("/api/admin/contacts/:id", requirePermission("contacts:write"), async (req, res) => {
+  const { id } = req.params;
+  const { payload, errors } = validateBody(CONTACT_SCHEMA, req.body, { partial: true });
+  const invalid = errors || (await checkAssignee(payload));
+  if (invalid) {
+    return sendValidationError(res, invalid);
+  }
+
+  const before = await db.contacts.findById(id);
+  if (!before) {
+    return res.status(404).json({ error: "Contact not found" });
+  }
+  if (Object.keys(payload).length === 0) {
+    return res.json(before);
+  }
+
+  const { data, error } = await db.contacts.update(id, payload);
+
+  if (error) {
+    return sendDbError(res, error);
+  }
+
+  await recordAudit(req, "contact.update", { entityId: id, before, after: data });
+  return res.json(data);
+});
+
+app.post("/api/admin/contacts/:id/notes", requirePermission("contacts:write"), async (req, res) => {
+  const { id } = req.params;
+  const body = String(req.body?.body || "").trim();
+  if (!body) {
+    return res.status(400).json({ error: "Missing note body" });
+  }
+
+  const { data, error } = await supabase
+    .from("contact_notes")
+    .insert([{ contact_id: id, author_email: req.adminEmail, body }])
+    .select("*")
+    .single();
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  await recordAudit(req, "contact_note.create", { entityId: data.id, after: data });
+  return res.json(data);
+});
+
+// Merges every row for `email` into `primary_id` (default: the oldest row) and deletes the rest.
+app.post("/api/admin/contacts/merge", requirePermission("contacts:write"), async (req, res) => {
+  const { email, primary_id } = req.body || {};
+  if (!email) {
+    return res.status(400).json({ error: "Missing email" });
+  }
+
+  const { data: rows, error: fetchError } = await db.contacts.listByEmail(email, {
+    ignoreCase: true,
+  });
+
+  if (fetchError) {
+    return res.status(500).json({ error: fetchError.message });
+  }
+  if (!rows || rows.length < 2) {
+    return res.status(400).json({ error: "No duplicates to merge" });
+  }
+
+  const primary = primary_id ? rows.find((row) => row.id === primary_id) : rows[0];
+  if (!primary) {
+    return res.status(400).json({ error: "primary_id does not match this email" });
+  }
+  const duplicateIds = rows.filter((row) => row.id !== primary.id).map((row) => row.id);
+
+  const { data, error } = await db.contacts.update(primary.id, mergeContactRows(primary, rows));
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  for (const table of ["contact_notes", "automation_inquiries"]) {
+    const { error: repointError } = await supabase
+      .from(table)
+      .update({ contact_id: primary.id })
+      .in("contact_id", duplicateIds);
+
+    if (repointError) {
+      return res.status(500).json({ error: repointError.message });
+    }
+  }
+
+  const { error: deleteError } = await db.contacts.removeMany(duplicateIds);
+  if (deleteError) {
+    return res.status(500).json({ error: deleteError.message });
+  }
+
+  await recordAudit(req, "contact.merge", { entityId: primary.id, before: rows, after: data });
+  return res.json({ contact: data, mergedIds: duplicateIds });
+});
+
+// --- Admin Automation Inquiries ---
+const INQUIRY_CHOICES = ["yes", "maybe", "no"];
+// ISO 3166 country used for phone numbers entered without an international prefix.
+const DEFAULT_PHONE_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || "GB").toUpperCase();
+
+// Returns the E.164 form ("+442079460958") or null when the number is not valid.
+const normalizePhone = (raw) => {
+  if (!raw) return null;
+  const phone = parsePhoneNumberFromString(String(raw).trim(), DEFAULT_PHONE_COUNTRY);
+  return phone?.isValid() ? phone.number : null;
+};
+
+const INQUIRY_SCHEMA = {
+  fields: {
+    status: { type: "enum", values: LEAD_STATUSES },
+    contact_id: { type: "uuid" },
+    assignee_email: { type: "email", max: 254 },
+  },
+  ignore: ["id", "created_at", "choice", "phone", "phone_raw", "source_page", "contact"],
+};
+
+const findContactIdByEmail = async (email) => {
+  if (!email) return null;
+  const { data } = await db.contacts.listByEmail(email, { ignoreCase: true, columns: "id" });
+  return data?.[0]?.id || null;
+};
+
+app.get(
+  "/api/admin/automation-inquiries",
+  requirePermission("contacts:read"),
+  async (req, res) => {
+    const { page, limit, from, to } = parsePagination(req);
+    const { choice, status, contact, phone, since, until } = req.query;
+
+    let query = supabase
+      .from("automation_inquiries")
+      .select("*", { count: "exact" })
+      .order("created_at", { ascending: false })
+      .range(from, to);
+
+    if (choice) query = query.eq("choice", choice);
+    if (status) query = query.eq("status", status);
+    if (contact) query = query.eq("contact_id", contact);
+    if (phone) query = query.eq("phone", normalizePhone(phone) || phone);
+    if (since) query = query.gte("created_at", since);
+    if (until) query = query.lte("created_at", until);
+
+    const { data, error, count } = await query;
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const totalPages = count ? Math.ceil(count / limit) : 1;
+    return res.json({ inquiries: data || [], page, totalPages, total: count || 0 });
+  }
+);
+
+app.get(
+  "/api/admin/automation-inquiries/:id",
+  requirePermission("contacts:read"),
+  async (req, res) => {
+    const inquiry = await fetchRowById("automation_inquiries", req.params.id);
+    if (!inquiry) {
+      return res.status(404).json({ error: "Inquiry not found" });
+    }
+
+    const contact = inquiry.contact_id ? await db.contacts.findById(inquiry.contact_id) : null;
+    return res.json({ ...inquiry, contact });
+  }
+);
+
+app.put(
+  "/api/admin/automation-inquiries/:id",
+  requirePermission("contacts:write"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { payload, errors } = validateBody(INQUIRY_SCHEMA, req.body, { partial: true });
+    const invalid = errors || (await checkAssignee(payload));
+    if (invalid) {
+      return sendValidationError(res, invalid);
+    }
+
+    const before = await fetchRowById("automation_inquiries", id);
+    if (!before) {
+      return res.status(404).json({ error: "Inquiry not found" });
+    }
+    if (Object.keys(payload).length === 0) {
+      return res.json(before);
+    }
+
+    const { data, error } = await supabase
+      .from("automation_inquiries")
+      .update(payload)
+      .eq("id", id)
+      .select("*")
+      .single();
+
+    if (error) {
+      return sendDbError(res, error);
+    }
+
+    await recordAudit(req, "automation_inquiry.update", { entityId: id, before, after: data });
+    return res.json(data);
+  }
+);
+
+// --- Admin Email Outbox (Super Admin Only) ---
+const EMAIL_OUTBOX_LIST_COLUMNS =
+  "id,to_addresses,subject,status,attempts,last_error,next_attempt_at,sent_at,created_at";
+
+app.get("/api/admin/email-outbox", requirePermission("email:manage"), async (req, res) => {
+  const { page, limit, from, to } = parsePagination(req);
+  const { status } = req.query;
+
+  let query = supabase
+    .from("email_outbox")
+    .select(EMAIL_OUTBOX_LIST_COLUMNS, { count: "exact" })
+    .order("created_at", { ascending: false })
+    .range(from, to);
+
+  if (status) {
+    query = query.eq("status", status);
+  }
+
+  const { data, error, count } = await query;
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  const totalPages = count ? Math.ceil(count / limit) : 1;
+  return res.json({ emails: data || [], page, totalPages, total: count || 0 });
+});
+
+app.get("/api/admin/email-outbox/:id", requirePermission("email:manage"), async (req, res) => {
+  const email = await fetchRowById("email_outbox", req.params.id);
+  if (!email) {
+    return res.status(404).json({ error: "Email not found" });
+  }
+  return res.json(email);
+});
+
+// Retrying resets the attempt budget and tries once immediately.
+app.post(
+  "/api/admin/email-outbox/:id/retry",
+  requirePermission("email:manage"),
+  async (req, res) => {
+    const { id } = req.params;
+
+    const { data: claimed, error } = await supabase
+      .from("email_outbox")
+      .update({ status: "sending", attempts: 0, locked_at: new Date().toISOString() })
+      .eq("id", id)
+      .in("status", ["pending", "dead"])
+      .select("*")
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+    if (!claimed) {
+      return res.status(409).json({ error: "Email is not waiting for delivery" });
+    }
+
+    const result = await deliverOutboxEmail(claimed);
+    await recordAudit(req, "email.retry", { entityId: id, after: { sent: result.sent } });
+    return res.json({ success: true, sent: result.sent, queued: result.queued });
+  }
+);
+
+// --- Admin Email Templates ---
+app.get("/api/admin/email-templates", requireAdmin, async (req, res) => {
+  return res.json({
+    templates: Object.entries(EMAIL_TEMPLATES).map(([name, template]) => ({
+      name,
+      sample: template.sample,
+    })),
+  });
+});
+
+// Renders with the template's sample data; query parameters override individual sample fields.
+// `?format=json` returns subject/html/text, `?format=text` the plain-text part, otherwise HTML.
+app.get(
+  "/api/admin/email-templates/:name/preview",
+  requirePermission("subscribers:manage"),
+  async (req, res) => {
+    const template = EMAIL_TEMPLATES[req.params.name];
+    if (!template) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+
+    const { format, ...overrides } = req.query;
+    const data = { ...template.sample };
+    for (const key of Object.keys(template.sample)) {
+      if (typeof overrides[key] === "string") data[key] = overrides[key];
+    }
+
+    const rendered = renderEmailTemplate(req.params.name, data, PREVIEW_EMAIL_LINKS);
+
+    // Browsers can't resolve `cid:` references, so inline the logo for previews.
+    const logo = template.logo ? await logoAttachment() : null;
+    const html = logo
+      ? rendered.html.replaceAll(`cid:${LOGO_CONTENT_ID}`, `data:image/jpeg;base64,${logo.content}`)
+      : rendered.html;
+
+    if (format === "json") {
+      return res.json({ ...rendered, html });
+    }
+    if (format === "text") {
+      return res.type("text/plain").send(rendered.text);
+    }
+    return res.type("html").send(html);
+  }
+);
+
+// --- Admin Newsletters ---
+const NEWSLETTER_BATCH_SIZE = parseInt(process.env.NEWSLETTER_BATCH_SIZE, 10) || 20;
+const NEWSLETTER_BATCH_DELAY_MS = parseInt(process.env.NEWSLETTER_BATCH_DELAY_MS, 10) || 2000;
+const NEWSLETTER_SCHEMA = {
+  fields: {
+    subject: { type: "string", min: 1, max: 300 },
+    html: { type: "string", min: 1, max: 1000000 },
+    post_id: { type: "uuid" },
+  },
+  ignore: [
+    "id",
+    "status",
+    "created_by",
+    "recipient_count",
+    "sent_count",
+    "failed_count",
+    "started_at",
+    "completed_at",
+    "created_at",
+    "updated_at",
+    "progress",
+  ],
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const buildNewsletterFromPost = (post) => ({
+  subject: post.title,
+  html: `
+    <h1>${escapeHtml(post.title)}</h1>
+    <p>${escapeHtml(postExcerpt(post))}</p>
+    <p><a href="${escapeHtml(postUrl(post))}">Read the full article</a></p>
+  `,
+});
+
+// Newsletters may place `{{unsubscribe_url}}` themselves; otherwise a footer link is appended.
+const personalizeNewsletterHtml = (html, email) => {
+  const url = escapeHtml(unsubscribeUrl(email));
+  if (html.includes("{{unsubscribe_url}}")) {
+    return html.replaceAll("{{unsubscribe_url}}", url);
+  }
+  return `${html}
+    <p style="margin-top:30px;font-size:12px;color:#6B7280;text-align:center;">
+      You're receiving this because you subscribed to Goftus AI updates.
+      <a href="${url}" style="color:#6B7280;">Unsubscribe</a>
+    </p>`;
+};
+
+const countDeliveries = async (newsletterId, status) => {
+  const { count } = await supabase
+    .from("newsletter_deliveries")
+    .select("id", { count: "exact", head: true })
+    .eq("newsletter_id", newsletterId)
+    .eq("status", status);
+  return count || 0;
+};
+
+const newsletterProgress = async (newsletterId) => {
+  const [pending, queued, sent, failed] = await Promise.all(
+    ["pending", "queued", "sent", "failed"].map((status) => countDeliveries(newsletterId, status))
+  );
+  return { total: pending + queued + sent + failed, pending, queued, sent, failed };
+};
+
+const runningNewsletters = new Set();
+
+// Works through pending deliveries in throttled batches. Progress lives in the deliveries table,
+// so a send interrupted by a restart resumes where it stopped (see resumeNewsletterSends).
+const runNewsletterSend = async (newsletterId) => {
+  if (runningNewsletters.has(newsletterId)) return;
+  runningNewsletters.add(newsletterId);
+
+  try {
+    const newsletter = await fetchRowById("newsletters", newsletterId);
+    if (!newsletter) return;
+
+    for (;;) {
+      const { data: batch, error } = await supabase
+        .from("newsletter_deliveries")
+        .select("id,email")
+        .eq("newsletter_id", newsletterId)
+        .eq("status", "pending")
+        .order("created_at", { ascending: true })
+        .limit(NEWSLETTER_BATCH_SIZE);
+
+      if (error) {
+        log.error("Newsletter batch fetch error", { err: error });
+        return;
+      }
+      if (!batch || batch.length === 0) break;
+
+      for (const delivery of batch) {
+        const result = await sendEmailBestEffort({
+          to: delivery.email,
+          subject: newsletter.subject,
+          html: personalizeNewsletterHtml(newsletter.html, delivery.email),
+          context: { newsletter_delivery_id: delivery.id },
+        });
+        // "queued" deliveries failed their first attempt and are now retried by the outbox.
+        const status = result.sent ? "sent" : result.queued ? "queued" : "failed";
+        await supabase
+          .from("newsletter_deliveries")
+          .update({
+            status,
+            error: result.sent ? null : describeEmailFailure(result),
+            sent_at: result.sent ? new Date().toISOString() : null,
+          })
+          .eq("id", delivery.id);
+      }
+
+      const progress = await newsletterProgress(newsletterId);
+      await supabase
+        .from("newsletters")
+        .update({ sent_count: progress.sent, failed_count: progress.failed })
+        .eq("id", newsletterId);
+
+      await sleep(NEWSLETTER_BATCH_DELAY_MS);
+    }
+
+    const progress = await newsletterProgress(newsletterId);
+    await supabase
+      .from("newsletters")
+      .update({
+        status: "sent",
+        sent_count: progress.sent,
+        failed_count: progress.failed,
+        completed_at: new Date().toISOString(),
+      })
+      .eq("id", newsletterId);
+  } catch (err) {
+    log.error("Newsletter send error", { err });
+  } finally {
+    runningNewsletters.delete(newsletterId);
+  }
+};
+
+const resumeNewsletterSends = async () => {
+  const { data, error } = await supabase.from("newsletters").select("id").eq("status", "sending");
+  if (error) {
+    log.error("Newsletter resume error", { err: error });
+    return;
+  }
+  for (const { id } of data || []) {
+    runNewsletterSend(id);
+  }
+};
+
+// Accepts subject/html directly, or a published `post_id` to build them from.
+const resolveNewsletterPayload = async (body, options) => {
+  const { payload, errors } = validateBody(NEWSLETTER_SCHEMA, body, options);
+  if (errors) {
+    return { errors };
+  }
+
+  if (payload.post_id && (!payload.subject || !payload.html)) {
+    const { data: posts } = await db.posts.listPublic({ ids: [payload.post_id] });
+    const post = posts?.[0];
+    if (!post) {
+      return { errors: [{ field: "post_id", message: "Post not found or not published" }] };
+    }
+    const built = buildNewsletterFromPost(post);
+    payload.subject = payload.subject || built.subject;
+    payload.html = payload.html || built.html;
+  }
+
+  return { payload };
+};
+
+app.get("/api/admin/newsletters", requirePermission("subscribers:manage"), async (req, res) => {
+  const { data, error } = await supabase
+    .from("newsletters")
+    .select("*")
+    .order("created_at", { ascending: false });
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  return res.json({ newsletters: data || [] });
+});
+
+app.post("/api/admin/newsletters", requirePermission("subscribers:manage"), async (req, res) => {
+  const { payload, errors } = await resolveNewsletterPayload(req.body);
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+  const missing = ["subject", "html"].filter((field) => !payload[field]);
+  if (missing.length > 0) {
+    return sendValidationError(
+      res,
+      missing.map((field) => ({ field, message: "Required unless post_id is given" }))
+    );
+  }
+
+  const { data, error } = await supabase
+    .from("newsletters")
+    .insert([{ ...payload, status: "draft", created_by: req.adminEmail }])
+    .select("*")
+    .single();
+
+  if (error) {
+    return sendDbError(res, error);
+  }
+
+  await recordAudit(req, "newsletter.create", { entityId: data.id, after: data });
+  return res.json(data);
+});
+
+app.get("/api/admin/newsletters/:id", requirePermission("subscribers:manage"), async (req, res) => {
+  const newsletter = await fetchRowById("newsletters", req.params.id);
+  if (!newsletter) {
+    return res.status(404).json({ error: "Newsletter not found" });
+  }
+
+  return res.json({ ...newsletter, progress: await newsletterProgress(newsletter.id) });
+});
+
+app.put("/api/admin/newsletters/:id", requirePermission("subscribers:manage"), async (req, res) => {
+  const { id } = req.params;
+
+  const before = await fetchRowById("newsletters", id);
+  if (!before) {
+    return res.status(404).json({ error: "Newsletter not found" });
+  }
+  if (before.status !== "draft") {
+    return res.status(409).json({ error: "Only draft newsletters can be edited" });
+  }
+
+  const { payload, errors } = await resolveNewsletterPayload(req.body, { partial: true });
+  if (errors) {
+    return sendValidationError(res, errors);
+  }
+
+  const { data, error } = await supabase
+    .from("newsletters")
+    .update(payload)
+    .eq("id", id)
+    .select("*")
+    .single();
+
+  if (error) {
+    return sendDbError(res, error);
+  }
+
+  await recordAudit(req, "newsletter.update", { entityId: id, before, after: data });
+  return res.json(data);
+});
+
+app.delete(
+  "/api/admin/newsletters/:id",
+  requirePermission("subscribers:manage"),
+  async (req, res) => {
+    const { id } = req.params;
+
+    const before = await fetchRowById("newsletters", id);
+    if (before && before.status !== "draft") {
+      return res.status(409).json({ error: "Only draft newsletters can be deleted" });
+    }
+
+    const { error } = await supabase.from("newsletters").delete().eq("id", id);
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    await recordAudit(req, "newsletter.delete", { entityId: id, before });
+    return res.json({ success: true });
+  }
+);
+
+app.post(
+  "/api/admin/newsletters/:id/test",
+  requirePermission("subscribers:manage"),
+  async (req, res) => {
+    const newsletter = await fetchRowById("newsletters", req.params.id);
+    if (!newsletter) {
+      return res.status(404).json({ error: "Newsletter not found" });
+    }
+
+    // Tests only ever go to the signed-in admin.
+    const to = req.adminEmail;
+    if (req.body?.to && String(req.body.to).trim().toLowerCase() !== to.toLowerCase()) {
+      return res.status(400).json({ error: "Test sends can only go to your own address" });
+    }
+
+    const emailResult = await sendEmailBestEffort({
+      to,
+      subject: `[Test] ${newsletter.subject}`,
+      html: personalizeNewsletterHtml(newsletter.html, to),
     });
 
+    await recordAudit(req, "newsletter.test", { entityId: newsletter.id, after: { to } });
+    return res.json({ success: true, to, emailSent: emailResult.sent });
+  }
+);
+
+app.post(
+  "/api/admin/newsletters/:id/send",
+  requirePermission("subscribers:manage"),
+  async (req, res) => {
+    const { id } = req.params;
+
+    const before = await fetchRowById("newsletters", id);
+    if (!before) {
+      return res.status(404).json({ error: "Newsletter not found" });
+    }
+    if (before.status !== "draft") {
+      return res.status(409).json({ error: "Newsletter has already been sent" });
+    }
+
+    const { data: contacts, error: contactsError } = await db.contacts.listSubscribed("email");
+
+    if (contactsError) {
+      return res.status(500).json({ error: contactsError.message });
+    }
+
+    // `contacts` can hold several rows per address, in any case; each subscriber gets one copy.
+    const emails = [
+      ...new Set(
+        (contacts || [])
+          .map((contact) => String(contact.email || "").trim().toLowerCase())
+          .filter(Boolean)
+      ),
+    ];
+    if (emails.length === 0) {
+      return res.status(400).json({ error: "No subscribed contacts" });
+    }
+
+    // Only a draft can be claimed, so of two concurrent sends exactly one gets the row.
+    const { data, error } = await supabase
+      .from("newsletters")
+      .update({
+        status: "sending",
+        recipient_count: emails.length,
+        started_at: new Date().toISOString(),
+      })
+      .eq("id", id)
+      .eq("status", "draft")
+      .select("*")
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+    if (!data) {
+      return res.status(409).json({ error: "Newsletter has already been sent" });
+    }
+
+    const { error: deliveriesError } = await supabase
+      .from("newsletter_deliveries")
+      .insert(emails.map((email) => ({ newsletter_id: id, email, status: "pending" })));
+
+    if (deliveriesError) {
+      await supabase
+        .from("newsletters")
+        .update({ status: "draft", recipient_count: 0, started_at: null })
+        .eq("id", id);
+      return res.status(500).json({ error: deliveriesError.message });
+    }
+
+    runNewsletterSend(id);
+
+    await recordAudit(req, "newsletter.send", { entityId: id, before, after: data });
+    return res.status(202).json(data);
+  }
+);
+
+app.get(
+  "/api/admin/newsletters/:id/deliveries",
+  requirePermission("subscribers:manage"),
+  async (req, res) => {
+    const { page, limit, from, to } = parsePagination(req);
+    const { status } = req.query;
+
+    let query = supabase
+      .from("newsletter_deliveries")
+      .select("*", { count: "exact" })
+      .eq("newsletter_id", req.params.id)
+      .order("created_at", { ascending: true })
+      .range(from, to);
+
+    if (status) {
+      query = query.eq("status", status);
+    }
+
+    const { data, error, count } = await query;
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const totalPages = count ? Math.ceil(count / limit) : 1;
+    return res.json({ deliveries: data || [], page, totalPages, total: count || 0 });
+  }
+);
+
+// --- Public Form Protection ---
+const FORM_RATE_WINDOW_MS = parseInt(process.env.FORM_RATE_WINDOW_MS, 10) || 10 * 60 * 1000;
+const FORM_RATE_LIMIT_IP = parseInt(process.env.FORM_RATE_LIMIT_IP, 10) || 5;
+const FORM_RATE_LIMIT_EMAIL = parseInt(process.env.FORM_RATE_LIMIT_EMAIL, 10) || 3;
+const FORM_MIN_SUBMIT_MS = parseInt(process.env.FORM_MIN_SUBMIT_MS, 10) || 3000;
+const FORM_DUPLICATE_WINDOW_MS =
+  parseInt(process.env.FORM_DUPLICATE_WINDOW_MS, 10) || 15 * 60 * 1000;
+// Hidden inputs the frontend renders: a honeypot humans never fill, and the start token it
+// fetched from /api/forms/start when the form was shown.
+const FORM_HONEYPOT_FIELD = process.env.FORM_HONEYPOT_FIELD || "website";
+const FORM_START_TOKEN_FIELD = "formStartToken";
+const FORM_START_TOKEN_TTL = 24 * 60 * 60;
+// Until every frontend form sends the start token, a missing one skips the timing check instead
+// of quarantining the submission.
+const FORM_REQUIRE_START_TOKEN = process.env.FORM_REQUIRE_START_TOKEN === "true";
+
+// Fixed-window counters and recent submission fingerprints, kept in process memory.
+const formRateCounters = new Map();
+const recentFormSubmissions = new Map();
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of formRateCounters) {
+    if (entry.resetAt <= now) formRateCounters.delete(key);
+  }
+  for (const [key, expiresAt] of recentFormSubmissions) {
+    if (expiresAt <= now) recentFormSubmissions.delete(key);
+  }
+}, 60 * 1000).unref();
+
+// Counts a hit for `key` and returns the seconds until it may retry, or 0 when under `max`.
+const hitRateLimit = (key, max) => {
+  const now = Date.now();
+  let entry = formRateCounters.get(key);
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + FORM_RATE_WINDOW_MS };
+    formRateCounters.set(key, entry);
+  }
+  entry.count += 1;
+  return entry.count > max ? Math.ceil((entry.resetAt - now) / 1000) : 0;
+};
+
+const formFingerprint = (form, payload) => {
+  const normalized = Object.keys(payload)
+    .sort()
+    .map((key) => [key, String(payload[key] ?? "").trim().toLowerCase()]);
+  return `${form}:${hashToken(JSON.stringify(normalized))}`;
+};
+
+const quarantineSubmission = async (req, form, reason, payload) => {
+  const { error } = await supabase.from("spam_quarantine").insert([
+    {
+      form,
+      reason,
+      payload,
+      ip: req.ip || null,
+      user_agent: req.get("user-agent") || null,
+      referer: req.get("referer") || null,
+    },
+  ]);
+  if (error) {
+    log.error("Spam quarantine insert error", { err: error });
+  }
+};
+
+// The start time is signed, so a submission can only prove it took FORM_MIN_SUBMIT_MS by
+// carrying a token the server issued at least that long ago.
+app.get("/api/forms/start", (req, res) => {
+  const issuedAt = Date.now();
+  const token = signToken({
+    typ: "form_start",
+    iat: issuedAt,
+    exp: Math.floor(issuedAt / 1000) + FORM_START_TOKEN_TTL,
+  });
+  res.set("Cache-Control", "no-store");
+  return res.json({ field: FORM_START_TOKEN_FIELD, token });
+});
+
+const verifyFormStartToken = (token) => {
+  const claims = verifyToken(token);
+  return claims?.typ === "form_start" ? claims : null;
+};
+
+// Rate limits by IP and email, then quarantines honeypot hits, submissions without a valid
+// start token (when FORM_REQUIRE_START_TOKEN is set), instant submits and repeats of either the
+// payload or the start token. Quarantined requests get a normal-looking success response so bots
+// learn nothing.
+const formGuard = (form) => async (req, res, next) => {
+  const {
+    [FORM_HONEYPOT_FIELD]: honeypot,
+    [FORM_START_TOKEN_FIELD]: startToken,
+    ...payload
+  } = req.body || {};
+  req.body = payload;
+
+  const email = String(payload.email || "").trim().toLowerCase();
+  const retryAfter = Math.max(
+    hitRateLimit(`${form}:ip:${req.ip}`, FORM_RATE_LIMIT_IP),
+    email ? hitRateLimit(`email:${email}`, FORM_RATE_LIMIT_EMAIL) : 0
+  );
+  if (retryAfter) {
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({ error: "Too many submissions, please try again later" });
+  }
+
+  const now = Date.now();
+  const start = verifyFormStartToken(startToken);
+  const fingerprints = [[formFingerprint(form, payload), now + FORM_DUPLICATE_WINDOW_MS]];
+  if (start) fingerprints.push([`${form}:start:${hashToken(startToken)}`, start.exp * 1000]);
+
+  let reason = null;
+  if (honeypot) reason = "honeypot";
+  else if (!start && startToken) reason = "invalid_start_token";
+  else if (!start && FORM_REQUIRE_START_TOKEN) reason = "missing_start_token";
+  else if (start && now - start.iat < FORM_MIN_SUBMIT_MS) reason = "too_fast";
+  else if (fingerprints.some(([key]) => (recentFormSubmissions.get(key) || 0) > now)) {
+    reason = "duplicate";
+  }
+
+  if (reason) {
+    await quarantineSubmission(req, form, reason, payload);
+    return res.json({ success: true, emailSent: false });
+  }
+
+  res.on("finish", () => {
+    if (res.statusCode < 400) {
+      for (const [key, expiresAt] of fingerprints) recentFormSubmissions.set(key, expiresAt);
+    }
+  });
+  return next();
+};
+
+// 5️⃣ Define the route that handles the form submission
+// 📨 Contact Form API Route
+// Form processors take the submitted payload and return `{ status, body }`, so a released
+// quarantine entry goes through exactly the same path as a live request.
+const processContactForm = async ({ fullName, email, company, need, message }) => {
+  if (!fullName || !email || !message)
+    return { status: 400, body: { error: "Missing required fields" } };
+
+  try {
+    const emailResult = await sendTemplatedEmail(
+      "contact_notification",
+      { fullName, email, company, need, message },
+      { to: process.env.RECEIVER_MAIL, replyTo: email }
+    );
+
     // Save in Supabase
-    const { data, error } = await supabase.from("contacts").insert([
-      {
-        full_name: fullName,
-        email,
-        company,
-        need,
-        message,
-        subscription: false, // default value
-      },
-    ]);
+    const { data, error } = await db.contacts.create({
+      full_name: fullName,
+      email,
+      company,
+      need,
+      message,
+      subscription: false, // default value
+    });
 
     if (error) {
-      console.error("Supabase insert error:", error);
-      return res.status(500).json({
-        error: "Failed to save to database",
-        detail: error.message || error,
-        source: "supabase_insert",
-      });
+      log.error("Contact insert error", { err: error });
+      return {
+        status: 500,
+        body: {
+          error: "Failed to save to database",
+          detail: error.message || error,
+          source: "supabase_insert",
+        },
+      };
     }
 
-    res.json({ success: true, emailSent: emailResult.sent });
+    return { status: 200, body: { success: true, emailSent: emailResult.sent } };
   } catch (err) {
-    console.error("Error:", err);
-    res.status(500).json({
-      error: "Failed to process request",
-      detail: err?.message || err,
-      source: "contact_handler",
-    });
+    log.error("Contact form error", { err });
+    return {
+      status: 500,
+      body: {
+        error: "Failed to process request",
+        detail: err?.message || err,
+        source: "contact_handler",
+      },
+    };
   }
+};
+
+app.post("/api/contact", formGuard("contact"), async (req, res) => {
+  const { status, body } = await processContactForm(req.body || {});
+  res.status(status).json(body);
 });
 
 // Automation Prompt API Route
-app.post("/api/automation-inquiry", async (req, res) => {
-  const { choice, phone } = req.body || {};
-
+const processAutomationInquiry = async ({ choice, phone, email, sourcePage }, { referer } = {}) => {
   if (!choice) {
-    return res.status(400).json({ error: "Missing choice" });
+    return { status: 400, body: { error: "Missing choice" } };
+  }
+
+  if (!INQUIRY_CHOICES.includes(choice)) {
+    return { status: 400, body: { error: "Invalid choice" } };
   }
 
   if ((choice === "yes" || choice === "maybe") && !phone) {
-    return res.status(400).json({ error: "Missing phone number" });
+    return { status: 400, body: { error: "Missing phone number" } };
+  }
+
+  const normalizedPhone = normalizePhone(phone);
+  if (phone && !normalizedPhone) {
+    return { status: 400, body: { error: "Invalid phone number" } };
+  }
+
+  const normalizedEmail = String(email || "").trim() || null;
+  if (normalizedEmail && !EMAIL_PATTERN.test(normalizedEmail)) {
+    return { status: 400, body: { error: "Invalid email" } };
   }
 
   try {
-    const emailResult = await sendEmailBestEffort({
-      to: process.env.RECEIVER_MAIL,
-      subject: "New AI Automation Inquiry",
-      html: `
-        <h2>AI Automation Inquiry</h2>
-        <p><b>Answer:</b> ${choice}</p>
-        <p><b>Mobile:</b> ${phone || "N/A"}</p>
-      `,
-    });
+    // Store the lead before emailing so it survives MAIL_DISABLE or a delivery failure.
+    const { data: inquiry, error } = await supabase
+      .from("automation_inquiries")
+      .insert([
+        {
+          choice,
+          phone: normalizedPhone,
+          phone_raw: phone || null,
+          email: normalizedEmail,
+          source_page: sourcePage || referer || null,
+          contact_id: normalizedEmail ? await findContactIdByEmail(normalizedEmail) : null,
+        },
+      ])
+      .select("*")
+      .single();
+
+    if (error) {
+      log.error("Automation inquiry insert error", { err: error });
+      return {
+        status: 500,
+        body: {
+          error: "Failed to save to database",
+          detail: error.message || error,
+          source: "supabase_insert",
+        },
+      };
+    }
+
+    const emailResult = await sendTemplatedEmail(
+      "automation_inquiry",
+      { choice, phone: normalizedPhone, email: normalizedEmail, sourcePage: inquiry.source_page },
+      { to: process.env.RECEIVER_MAIL, replyTo: normalizedEmail || undefined }
+    );
 
-    return res.json({ success: true, emailSent: emailResult.sent });
+    return { status: 200, body: { success: true, id: inquiry.id, emailSent: emailResult.sent } };
   } catch (err) {
-    console.error("Automation inquiry error:", err);
-    return res.status(500).json({
-      error: "Failed to process request",
-      detail: err?.message || err,
-      source: "automation_inquiry",
-    });
+    log.error("Automation inquiry error", { err });
+    return {
+      status: 500,
+      body: {
+        error: "Failed to process request",
+        detail: err?.message || err,
+        source: "automation_inquiry",
+      },
+    };
   }
+};
+
+app.post("/api/automation-inquiry", formGuard("automation_inquiry"), async (req, res) => {
+  const { status, body } = await processAutomationInquiry(req.body || {}, {
+    referer: req.get("referer"),
+  });
+  res.status(status).json(body);
 });
 
 
@@ -724,249 +4842,469 @@ app.post("/api/automation-inquiry", async (req, res) => {
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-app.post("/api/subscribe", async (req, res) => {
-  const { email } = req.body;
+const SUBSCRIPTION_SECRET = process.env.SUBSCRIPTION_SECRET || ADMIN_TOKEN;
+const SUBSCRIBE_CONFIRM_TTL = parseInt(process.env.SUBSCRIBE_CONFIRM_TTL, 10) || 48 * 60 * 60;
+// A pending subscriber asking again inside this window does not get another confirmation email.
+const SUBSCRIBE_RESEND_INTERVAL = parseInt(process.env.SUBSCRIBE_RESEND_INTERVAL, 10) || 10 * 60;
 
-  if (!email) {
-    console.log("❌ Missing email for subscription update");
-    return res.status(400).json({ error: "Email is required" });
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const subscribeConfirmToken = (email) =>
+  signToken(
+    {
+      typ: "subscribe_confirm",
+      email,
+      exp: Math.floor(Date.now() / 1000) + SUBSCRIBE_CONFIRM_TTL,
+    },
+    SUBSCRIPTION_SECRET
+  );
+
+// Unsubscribe tokens never expire: they sit in every email we have ever sent to the subscriber.
+const unsubscribeToken = (email) => signToken({ typ: "unsubscribe", email }, SUBSCRIPTION_SECRET);
+
+const subscribeConfirmUrl = (email) =>
+  `${BASE_URL}/api/subscribe/confirm?token=${encodeURIComponent(subscribeConfirmToken(email))}`;
+
+const unsubscribeUrl = (email) =>
+  `${BASE_URL}/api/unsubscribe?token=${encodeURIComponent(unsubscribeToken(email))}`;
+
+const verifySubscriptionToken = (token, typ) => {
+  const claims = verifyToken(token, SUBSCRIPTION_SECRET);
+  return claims && claims.typ === typ && claims.email ? claims.email : null;
+};
+
+const subscriptionPage = (title, body) =>
+  safeHtml`<html>
+  <body style="font-family:Arial,sans-serif; background:#f9fafb; text-align:center; padding:50px;">
+    <h2 style="color:#1E3A8A;">${title}</h2>
+    <p style="color:#4B5563;">${body}</p>
+  </body>
+</html>`.toString();
+
+// Double opt-in: this only records a pending subscriber and emails a confirmation link.
+// The welcome email goes out from /api/subscribe/confirm, once per subscriber.
+const processSubscription = async (payload) => {
+  const email = String(payload.email || "").trim();
+
+  if (!email || !EMAIL_PATTERN.test(email)) {
+    log.warn("Subscription rejected: missing or invalid email");
+    return { status: 400, body: { error: "A valid email is required" } };
   }
 
   try {
-    console.log("🔍 Checking subscription for:", email);
+    log.debug("Checking subscription", { email });
 
     // 1️⃣ Check if email exists
-    const { data: userData, error: fetchError } = await supabase
-      .from("contacts")
-      .select("*")
-      .eq("email", email);
+    const { data: userData, error: fetchError } = await db.contacts.listByEmail(email);
 
     if (fetchError) {
-      console.error("❌ Error fetching user:", fetchError.message);
-      return res.status(500).json({ error: "Database fetch failed" });
+      log.error("Subscription lookup error", { err: fetchError });
+      return { status: 500, body: { error: "Database fetch failed" } };
     }
 
-    // 2️⃣ If exists
-    if (userData && userData.length > 0) {
-      const user = userData[0];
+    const user = userData && userData.length > 0 ? userData[0] : null;
 
-      if (user.subscription === true) {
-        console.log("ℹ️ Already subscribed:", email);
-        // Still send welcome message (as per your new requirement)
-      } else {
-        // Update subscription if false
-        const { error: updateError } = await supabase
-          .from("contacts")
-          .update({ subscription: true })
-          .eq("email", email);
-
-        if (updateError) {
-          console.error("❌ Subscription update error:", updateError.message);
-          return res.status(500).json({ error: "Failed to update subscription" });
-        }
-
-        console.log("✅ Updated existing user subscription:", email);
+    // 2️⃣ Already confirmed: nothing to send
+    if (user && user.subscription_status === "subscribed") {
+      log.info("Already subscribed", { email });
+      return { status: 200, body: { success: true, status: "subscribed", emailSent: false } };
+    }
+
+    // 3️⃣ Confirmation recently sent: don't send another one yet
+    const lastSent = user?.confirmation_sent_at ? new Date(user.confirmation_sent_at).getTime() : 0;
+    if (
+      user &&
+      user.subscription_status === "pending" &&
+      Date.now() - lastSent < SUBSCRIBE_RESEND_INTERVAL * 1000
+    ) {
+      log.info("Confirmation already pending", { email });
+      return { status: 200, body: { success: true, status: "pending", emailSent: false } };
+    }
+
+    const pending = {
+      subscription: false,
+      subscription_status: "pending",
+      confirmation_sent_at: new Date().toISOString(),
+    };
+
+    if (user) {
+      const { error: updateError } = await db.contacts.updateByEmail(email, pending);
+
+      if (updateError) {
+        log.error("Subscription update error", { err: updateError });
+        return { status: 500, body: { error: "Failed to update subscription" } };
       }
     } else {
-      // 3️⃣ If no existing record — create new one
-      const { error: insertError } = await supabase.from("contacts").insert([
-        {
-          email,
-          subscription: true,
-          full_name: null,
-          company: null,
-          need: null,
-          message: null,
-        },
-      ]);
+      // 4️⃣ If no existing record — create new one
+      const { error: insertError } = await db.contacts.create({
+        email,
+        ...pending,
+        full_name: null,
+        company: null,
+        need: null,
+        message: null,
+      });
 
       if (insertError) {
-        console.error("❌ Insert error:", insertError.message);
-        return res.status(500).json({ error: "Failed to add new subscriber" });
+        log.error("Subscription insert error", { err: insertError });
+        return { status: 500, body: { error: "Failed to add new subscriber" } };
       }
+    }
 
-      console.log("✅ Added new subscriber:", email);
+    log.info("Pending subscription recorded", { email });
+
+    const emailResult = await sendTemplatedEmail(
+      "subscribe_confirmation",
+      { email },
+      { to: email }
+    );
+    if (!emailResult.sent) {
+      log.error("Confirmation email failed", { reason: emailResult.error || emailResult.reason });
     }
 
-    // Always send Welcome Email
-    const logoPath = path.join(__dirname, "assets", "goftus-logo.jpg");
-    const logoBase64 = await readFileBase64(logoPath);
-    const attachments = logoBase64
-      ? [
-          {
-            filename: "goftus-logo.jpg",
-            content: logoBase64,
-            contentId: "goftuslogo",
-          },
-        ]
-      : [];
+    return { status: 200, body: { success: true, status: "pending", emailSent: emailResult.sent } };
+  } catch (err) {
+    log.error("Error processing subscription", { err });
+    return { status: 500, body: { error: "Internal server error" } };
+  }
+};
 
-    const emailResult = await sendEmailBestEffort({
-      to: email,
-      subject: "Welcome to Goftus AI!",
-      html: `
-        <div style="font-family: Arial, sans-serif; background-color: #0f172a; padding: 40px;">
-          <div style="max-width: 600px; margin: auto; background: #1e293b; border-radius: 12px; overflow: hidden;">
-            <div style="text-align: center; padding: 30px 20px;">
-              <img src="cid:goftuslogo" alt="Goftus Logo" style="width: 120px; margin-bottom: 15px;" />
-              <h1 style="color: #38bdf8; font-size: 26px;">Welcome to Goftus AI</h1>
-              <p style="color: #e2e8f0; font-size: 15px; line-height: 1.6;">
-                We're excited to have you join the Goftus community.
-              </p>
-            </div>
-
-            <div style="padding: 20px 30px;">
-              <p style="color: #cbd5e1; font-size: 15px;">
-                At <strong style="color: #38bdf8;">Goftus</strong>, we help you build, ship, and scale with advanced AI solutions like:
-              </p>
-              <ul style="color: #e2e8f0; font-size: 15px; line-height: 1.8;">
-                <li><b>Agentic AI</b> - automate business workflows intelligently</li>
-                <li><b>AI Products</b> - design, deploy, and scale effortlessly</li>
-                <li><b>Smart Integrations</b> - bring AI seamlessly into your stack</li>
-              </ul>
-              <p style="color: #cbd5e1; margin-top: 15px;">
-                Let's shape the future of AI - together.
-              </p>
-
-              <div style="text-align: center; margin-top: 30px;">
-                <a href="https://goftus.com/contact"
-                   style="background-color: #38bdf8; color: #0f172a; padding: 12px 24px; border-radius: 8px; font-weight: bold; text-decoration: none;">
-                  Contact Us
-                </a>
-                <br>
-                <a href="${process.env.BASE_URL}/api/unsubscribe?email=${encodeURIComponent(email)}"
-   style="display:inline-block; margin-top:20px; color:#94a3b8; font-size:13px; text-decoration:underline;">
-   Unsubscribe from future emails
-</a>
-              </div>
-            </div>
-
-            <div style="background: #0f172a; text-align: center; padding: 15px;">
-              <p style="color: #64748b; font-size: 12px;">
-                (c) ${new Date().getFullYear()} Goftus AI. All rights reserved.
-              </p>
-            </div>
-          </div>
-        </div>
-      `,
-      attachments,
-    });
+app.post("/api/subscribe", formGuard("subscribe"), async (req, res) => {
+  const { status, body } = await processSubscription(req.body || {});
+  res.status(status).json(body);
+});
 
-    if (!emailResult.sent) {
-      console.error("Welcome email failed:", emailResult.error || emailResult.reason);
+app.get("/api/subscribe/confirm", async (req, res) => {
+  try {
+    const email = verifySubscriptionToken(req.query.token, "subscribe_confirm");
+    if (!email) {
+      return res
+        .status(400)
+        .send(
+          subscriptionPage(
+            "This confirmation link is invalid or has expired.",
+            "Please subscribe again from our website."
+          )
+        );
     }
 
-    return res.json({
-      success: true,
-      emailSent: emailResult.sent,
-    });
+    const { data: userData, error: fetchError } = await db.contacts.listByEmail(email);
+
+    if (fetchError) {
+      log.error("Database fetch error", { err: fetchError });
+      return res.status(500).send("Internal server error.");
+    }
+
+    const user = userData && userData.length > 0 ? userData[0] : null;
+    if (!user) {
+      return res.status(404).send("Email not found in database.");
+    }
+
+    // Unsubscribing while pending voids the confirmation link already sent.
+    if (!["pending", "subscribed"].includes(user.subscription_status)) {
+      return res
+        .status(400)
+        .send(
+          subscriptionPage(
+            "This link is no longer valid.",
+            safeHtml`Subscribe again to get a new confirmation email.`
+          )
+        );
+    }
+
+    if (user.subscription_status === "pending") {
+      const { error: updateError } = await db.contacts.updateByEmail(email, {
+        subscription: true,
+        subscription_status: "subscribed",
+        subscribed_at: new Date().toISOString(),
+      });
+
+      if (updateError) {
+        log.error("Subscription confirm error", { err: updateError });
+        return res.status(500).send("Failed to update subscription.");
+      }
+
+      log.info("Subscription confirmed", { email });
+    }
+
+    // Welcome email is sent once per subscriber, however many times they confirm or resubscribe.
+    if (!user.welcome_sent_at) {
+      const emailResult = await sendTemplatedEmail("welcome", { email }, { to: email });
+      // A queued email is retried by the outbox worker, so it counts as sent here.
+      if (emailResult.sent || emailResult.queued) {
+        await db.contacts.updateByEmail(email, { welcome_sent_at: new Date().toISOString() });
+      } else {
+        log.error("Welcome email failed", { reason: emailResult.error || emailResult.reason });
+      }
+    }
+
+    return res
+      .status(200)
+      .send(
+        subscriptionPage(
+          "You're subscribed!",
+          safeHtml`Thanks for confirming. We'll send Goftus AI updates to <b>${email}</b>.`
+        )
+      );
   } catch (err) {
-    console.error("❌ Error processing subscription:", err);
-    res.status(500).json({ error: "Internal server error" });
+    log.error("Subscription confirm processing error", { err });
+    res.status(500).send("Internal server error.");
   }
 });
 // Start the Express server
+// --- Memory Storage Files ---
+// With STORAGE_BACKEND=memory, uploads are served from the same URL shape Supabase uses.
+if (STORAGE_BACKEND === "memory") {
+  app.get("/storage/v1/object/public/:bucket/*objectPath", async (req, res) => {
+    const { bucket, objectPath } = req.params;
+    const { data, error } = await supabase.storage.from(bucket).download(objectPath.join("/"));
+    if (error) {
+      return res.status(404).json({ error: error.message });
+    }
+
+    res.type(data.type);
+    return res.send(Buffer.from(await data.arrayBuffer()));
+  });
+}
+
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-});
+// Every secret that signs tokens or keys log hashes. Each falls back to ADMIN_TOKEN (LOG_HASH_KEY
+// to a key derived from it), and the server refuses to start while any is unset.
+const REQUIRED_SECRETS = { ADMIN_TOKEN, SUBSCRIPTION_SECRET, POST_PREVIEW_SECRET, LOG_HASH_KEY };
+
+// Importing this module (e.g. from an integration test) returns the app without binding a port
+// or starting the background jobs.
+// `argv[1]` keeps symlinks (e.g. a `current/` release dir) while `__filename` has them resolved.
+if (process.argv[1] && realpathSync(process.argv[1]) === __filename) {
+  const missingSecrets = Object.keys(REQUIRED_SECRETS).filter((name) => !REQUIRED_SECRETS[name]);
+  if (missingSecrets.length > 0) {
+    log.error("Refusing to start: set ADMIN_TOKEN or the missing secrets", {
+      missing: missingSecrets,
+    });
+    process.exit(1);
+  }
+
+  app.listen(PORT, () => {
+    log.info("Server listening", {
+      port: Number(PORT),
+      storageBackend: STORAGE_BACKEND,
+      mailTransport: MAIL_TRANSPORT,
+    });
+    if (STORAGE_BACKEND === "supabase" && !process.env.SUPABASE_URL) {
+      log.warn("SUPABASE_URL is not set; database calls will fail");
+    }
+    startPostScheduler();
+    resumeNewsletterSends();
+    startEmailOutboxWorker();
+    startMediaCleanup();
+  });
+}
 app.get("/api/unsubscribe", async (req, res) => {
   try {
-    const email = req.query.email;
-
-    // 🔒 Step 1: Validate query parameter
-    if (!email || !email.includes("@")) {
-      console.warn("❌ Invalid unsubscribe request - missing or invalid email");
+    // 🔒 Step 1: Validate the signed token (raw emails are not accepted)
+    const email = verifySubscriptionToken(req.query.token, "unsubscribe");
+    if (!email) {
+      log.warn("Unsubscribe rejected: missing or invalid token");
       return res.status(400).send("Invalid unsubscribe link.");
     }
 
-    console.log("📩 Unsubscribe request for:", email);
+    log.info("Unsubscribe request", { email });
 
     // 🔍 Step 2: Check if the user exists
-    const { data: userData, error: fetchError } = await supabase
-      .from("contacts")
-      .select("*")
-      .eq("email", email);
+    const { data: userData, error: fetchError } = await db.contacts.listByEmail(email);
 
     if (fetchError) {
-      console.error("❌ Database fetch error:", fetchError.message);
+      log.error("Database fetch error", { err: fetchError });
       return res.status(500).send("Internal server error.");
     }
 
     if (!userData || userData.length === 0) {
-      console.warn("⚠️ No user found for:", email);
+      log.warn("Unsubscribe for unknown subscriber", { email });
       return res.status(404).send("Email not found in database.");
     }
 
     const user = userData[0];
 
-    // 🚫 Step 3: If already unsubscribed
-    if (user.subscription === false) {
-      console.log("ℹ️ Already unsubscribed:", email);
+    // 🚫 Step 3: If already unsubscribed (pending subscribers are unsubscribed too, which voids
+    // their confirmation link)
+    const active = ["subscribed", "pending"].includes(user.subscription_status);
+    if (!active && user.subscription !== true) {
+      log.info("Already unsubscribed", { email });
       return res
         .status(200)
         .send(
-          `<html>
-            <body style="font-family:Arial,sans-serif; background:#f9fafb; text-align:center; padding:50px;">
-              <h2 style="color:#1E3A8A;">You’re already unsubscribed!</h2>
-              <p style="color:#4B5563;">We won't send further updates to <b>${email}</b>.</p>
-            </body>
-          </html>`
+          subscriptionPage(
+            "You’re already unsubscribed!",
+            safeHtml`We won't send further updates to <b>${email}</b>.`
+          )
         );
     }
 
     // ✏️ Step 4: Update subscription to false
-    const { error: updateError } = await supabase
-      .from("contacts")
-      .update({ subscription: false })
-      .eq("email", email);
+    const { error: updateError } = await db.contacts.updateByEmail(email, {
+      subscription: false,
+      subscription_status: "unsubscribed",
+      unsubscribed_at: new Date().toISOString(),
+    });
 
     if (updateError) {
-      console.error("❌ Unsubscribe update error:", updateError.message);
+      log.error("Unsubscribe update error", { err: updateError });
       return res.status(500).send("Failed to update subscription.");
     }
 
-    console.log("✅ Subscription marked false for:", email);
+    log.info("Subscription cancelled", { email });
 
     // Send confirmation email
-    const emailResult = await sendEmailBestEffort({
-      to: email,
-      subject: "You've been unsubscribed from Goftus AI updates",
-      html: `
-        <div style="font-family:Arial,sans-serif; background-color:#f9fafb; padding:30px;">
-          <div style="max-width:600px;margin:auto;background:white;border-radius:12px;padding:20px;">
-            <h2 style="color:#1E3A8A;text-align:center;">Unsubscribed Successfully</h2>
-            <p style="color:#374151;text-align:center;">We've removed <b>${email}</b> from our mailing list.</p>
-            <p style="font-size:14px;color:#6B7280;text-align:center;">If this was a mistake, you can resubscribe anytime on our website.</p>
-            <div style="text-align:center;margin-top:30px;">
-              <a href="https://goftus.com" 
-                 style="background:#1E3A8A;color:white;padding:10px 20px;border-radius:8px;text-decoration:none;">
-                Visit Goftus
-              </a>
-            </div>
-          </div>
-        </div>
-      `,
-    });
+    const emailResult = await sendTemplatedEmail(
+      "unsubscribe_confirmation",
+      { email },
+      { to: email }
+    );
 
     if (!emailResult.sent) {
-      console.error("Unsubscribe confirmation email failed:", emailResult.error || emailResult.reason);
+      log.error("Unsubscribe confirmation email failed", {
+        reason: emailResult.error || emailResult.reason,
+      });
     }
 
     // Step 6: Send browser confirmation page
     return res
       .status(200)
       .send(
-        `<html>
-          <body style="font-family:Arial,sans-serif; background:#f9fafb; text-align:center; padding:50px;">
-            <h2 style="color:#1E3A8A;">You’ve been unsubscribed.</h2>
-            <p style="color:#4B5563;">We’re sorry to see you go! If enabled, a confirmation email was sent to <b>${email}</b>.</p>
-          </body>
-        </html>`
+        subscriptionPage(
+          "You’ve been unsubscribed.",
+          safeHtml`We’re sorry to see you go! If enabled, a confirmation email was sent to <b>${email}</b>.`
+        )
       );
   } catch (err) {
-    console.error("❌ Unsubscribe processing error:", err);
+    log.error("Unsubscribe processing error", { err });
     res.status(500).send("Internal server error.");
   }
 });
+
+// --- Admin Spam Quarantine ---
+const SPAM_QUARANTINE_STATUSES = ["quarantined", "released", "discarded"];
+
+const FORM_PROCESSORS = {
+  contact: processContactForm,
+  automation_inquiry: processAutomationInquiry,
+  subscribe: processSubscription,
+};
+
+app.get("/api/admin/spam", requirePermission("contacts:read"), async (req, res) => {
+  const { page, limit, from, to } = parsePagination(req);
+  const { form, reason, status = "quarantined", ip } = req.query;
+
+  let query = supabase
+    .from("spam_quarantine")
+    .select("*", { count: "exact" })
+    .order("created_at", { ascending: false })
+    .range(from, to);
+
+  if (form) query = query.eq("form", form);
+  if (reason) query = query.eq("reason", reason);
+  if (status !== "all") {
+    if (!SPAM_QUARANTINE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: "Invalid status" });
+    }
+    query = query.eq("status", status);
+  }
+  if (ip) query = query.eq("ip", ip);
+
+  const { data, error, count } = await query;
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  const totalPages = count ? Math.ceil(count / limit) : 1;
+  return res.json({ submissions: data || [], page, totalPages, total: count || 0 });
+});
+
+app.get("/api/admin/spam/:id", requirePermission("contacts:read"), async (req, res) => {
+  const submission = await fetchRowById("spam_quarantine", req.params.id);
+  if (!submission) {
+    return res.status(404).json({ error: "Submission not found" });
+  }
+  return res.json(submission);
+});
+
+// Runs a false positive through the normal form handler, skipping the spam checks.
+app.post("/api/admin/spam/:id/release", requirePermission("contacts:write"), async (req, res) => {
+  const { id } = req.params;
+  const before = await fetchRowById("spam_quarantine", id);
+  if (!before) {
+    return res.status(404).json({ error: "Submission not found" });
+  }
+  if (before.status !== "quarantined") {
+    return res.status(409).json({ error: `Submission already ${before.status}` });
+  }
+
+  const processForm = FORM_PROCESSORS[before.form];
+  if (!processForm) {
+    return res.status(400).json({ error: `Unknown form: ${before.form}` });
+  }
+
+  const result = await processForm(before.payload || {}, { referer: before.referer });
+  if (result.status >= 400) {
+    return res.status(result.status).json(result.body);
+  }
+
+  const { data, error } = await supabase
+    .from("spam_quarantine")
+    .update({
+      status: "released",
+      reviewed_by: req.adminEmail,
+      reviewed_at: new Date().toISOString(),
+    })
+    .eq("id", id)
+    .select("*")
+    .single();
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  await recordAudit(req, "spam.release", { entityId: id, before, after: data });
+  return res.json({ submission: data, result: result.body });
+});
+
+app.post("/api/admin/spam/:id/discard", requirePermission("contacts:write"), async (req, res) => {
+  const { id } = req.params;
+  const before = await fetchRowById("spam_quarantine", id);
+  if (!before) {
+    return res.status(404).json({ error: "Submission not found" });
+  }
+
+  const { data, error } = await supabase
+    .from("spam_quarantine")
+    .update({
+      status: "discarded",
+      reviewed_by: req.adminEmail,
+      reviewed_at: new Date().toISOString(),
+    })
+    .eq("id", id)
+    .select("*")
+    .single();
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  await recordAudit(req, "spam.discard", { entityId: id, before, after: data });
+  return res.json(data);
+});
+
+// Errors thrown by routes or rejected by the body parsers. Client errors keep their message;
+// anything else is logged and answered generically.
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) {
+    log.error("Unhandled request error", { err });
+  }
+  return res.status(status).json({ error: status < 500 ? err.message : "Internal server error" });
+});
+
+export default app;
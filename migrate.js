@@ -0,0 +1,176 @@
+// Applies the SQL files in migrations/ to DATABASE_URL (the Postgres connection string from
+// Supabase: Project Settings -> Database).
+//
+//   node migrate.js [up [version]]   apply pending migrations, optionally only up to `version`
+//   node migrate.js status           list every migration and whether it has been applied
+//   node migrate.js down [steps]     roll back the last `steps` applied migrations (default 1)
+//
+// Each migration is a `<version>_<name>.up.sql` / `.down.sql` pair and runs in its own
+// transaction. Applied versions are recorded in `public.schema_migrations`.
+import dotenv from "dotenv";
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import pg from "pg";
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+// Any constant works; it only has to be the same for every process running migrations.
+const MIGRATION_LOCK_ID = 727274;
+
+const checksum = (sql) => crypto.createHash("sha256").update(sql).digest("hex");
+
+const loadMigrations = async () => {
+  const byVersion = new Map();
+  for (const file of (await fs.readdir(MIGRATIONS_DIR)).sort()) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    const migration = byVersion.get(version) || { version, name };
+    migration[direction] = await fs.readFile(path.join(MIGRATIONS_DIR, file), "utf8");
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()];
+  const missingUp = migrations.find((migration) => !migration.up);
+  if (missingUp) {
+    throw new Error(`Migration ${missingUp.version}_${missingUp.name} has no .up.sql file`);
+  }
+  return migrations;
+};
+
+const ensureMigrationsTable = (client) =>
+  client.query(`
+    create table if not exists public.schema_migrations (
+      version text primary key,
+      name text not null,
+      checksum text not null,
+      applied_at timestamptz not null default now()
+    )
+  `);
+
+const loadApplied = async (client) => {
+  const { rows } = await client.query(
+    "select version, name, checksum, applied_at from public.schema_migrations order by version"
+  );
+  return new Map(rows.map((row) => [row.version, row]));
+};
+
+const inTransaction = async (client, run) => {
+  await client.query("begin");
+  try {
+    await run();
+    await client.query("commit");
+  } catch (err) {
+    await client.query("rollback");
+    throw err;
+  }
+};
+
+const migrateUp = async (client, migrations, applied, target) => {
+  const pending = migrations.filter(
+    ({ version }) => !applied.has(version) && (!target || version <= target)
+  );
+  if (pending.length === 0) {
+    console.log("Database is up to date.");
+    return;
+  }
+
+  for (const { version, name, up } of pending) {
+    console.log(`Applying ${version}_${name}...`);
+    await inTransaction(client, async () => {
+      await client.query(up);
+      await client.query(
+        "insert into public.schema_migrations (version, name, checksum) values ($1, $2, $3)",
+        [version, name, checksum(up)]
+      );
+    });
+  }
+  console.log(`Applied ${pending.length} migration(s).`);
+};
+
+const migrateDown = async (client, migrations, applied, steps) => {
+  const byVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+  const toRevert = [...applied.keys()].sort().reverse().slice(0, steps);
+  if (toRevert.length === 0) {
+    console.log("Nothing to roll back.");
+    return;
+  }
+
+  for (const version of toRevert) {
+    const migration = byVersion.get(version);
+    if (!migration?.down) {
+      throw new Error(`Migration ${version} has no .down.sql file; stopping`);
+    }
+
+    console.log(`Reverting ${version}_${migration.name}...`);
+    await inTransaction(client, async () => {
+      await client.query(migration.down);
+      await client.query("delete from public.schema_migrations where version = $1", [version]);
+    });
+  }
+  console.log(`Rolled back ${toRevert.length} migration(s).`);
+};
+
+const printStatus = (migrations, applied) => {
+  for (const { version, name, up } of migrations) {
+    const row = applied.get(version);
+    const state = row ? `applied ${row.applied_at.toISOString()}` : "pending";
+    const changed = row && row.checksum !== checksum(up) ? "  (file changed since applied)" : "";
+    console.log(`${version}_${name.padEnd(32)} ${state}${changed}`);
+  }
+
+  const known = new Set(migrations.map(({ version }) => version));
+  for (const [version, row] of applied) {
+    if (!known.has(version)) {
+      console.log(`${version}_${row.name.padEnd(32)} applied, but the file is missing`);
+    }
+  }
+};
+
+const main = async () => {
+  const [command = "up", arg] = process.argv.slice(2);
+  if (!["up", "down", "status"].includes(command)) {
+    throw new Error(`Unknown command: ${command} (expected up, down or status)`);
+  }
+  if (!process.env.DATABASE_URL) {
+    throw new Error("DATABASE_URL is not set");
+  }
+
+  const migrations = await loadMigrations();
+  const client = new pg.Client({ connectionString: process.env.DATABASE_URL });
+  await client.connect();
+
+  try {
+    await client.query("select pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    const applied = await loadApplied(client);
+
+    if (command === "status") {
+      printStatus(migrations, applied);
+    } else if (command === "down") {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error("down expects a positive number of steps");
+      }
+      await migrateDown(client, migrations, applied, steps);
+    } else {
+      // Versions are zero-padded, so `up 5` means "up to 0005".
+      const target = arg && arg.padStart(migrations[0]?.version.length || 0, "0");
+      await migrateUp(client, migrations, applied, target);
+    }
+  } finally {
+    await client.query("select pg_advisory_unlock($1)", [MIGRATION_LOCK_ID]).catch(() => {});
+    await client.end();
+  }
+};
+
+main().catch((err) => {
+  console.error(`Migration failed: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,5 @@
+drop table if exists public.admin_users;
+drop table if exists public.contacts;
+drop table if exists public.products;
+drop table if exists public.posts;
+drop function if exists public.set_updated_at();
@@ -0,0 +1,74 @@
+-- Tables the server relied on before migrations were tracked. Everything uses `if not exists`
+-- so an existing Supabase project can run the full chain without losing data.
+create extension if not exists pgcrypto;
+
+create or replace function public.set_updated_at()
+returns trigger as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$ language plpgsql;
+
+create table if not exists public.posts (
+  id uuid primary key default gen_random_uuid(),
+  title text not null,
+  slug text not null unique,
+  excerpt text,
+  content text,
+  cover_image_url text,
+  author_name text,
+  seo_title text,
+  seo_description text,
+  status text not null default 'draft',
+  published_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists posts_status_published_idx on public.posts (status, published_at desc);
+
+drop trigger if exists set_posts_updated_at on public.posts;
+create trigger set_posts_updated_at
+before update on public.posts
+for each row
+execute function public.set_updated_at();
+
+create table if not exists public.products (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  slug text unique,
+  subtitle text,
+  description text not null,
+  status text not null default 'draft',
+  image_url text,
+  cta_url text,
+  price numeric(12, 2),
+  sort_order integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+drop trigger if exists set_products_updated_at on public.products;
+create trigger set_products_updated_at
+before update on public.products
+for each row
+execute function public.set_updated_at();
+
+create table if not exists public.contacts (
+  id uuid primary key default gen_random_uuid(),
+  full_name text,
+  email text not null,
+  company text,
+  need text,
+  message text,
+  subscription boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.admin_users (
+  id uuid primary key default gen_random_uuid(),
+  email text not null unique,
+  password_hash text not null,
+  created_at timestamptz not null default now()
+);
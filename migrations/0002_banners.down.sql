@@ -0,0 +1,2 @@
+drop table if exists public.banners;
+drop function if exists public.set_banners_updated_at();
@@ -0,0 +1,10 @@
+create table if not exists public.admin_sessions (
+  id uuid primary key default gen_random_uuid(),
+  admin_email text not null,
+  refresh_token_hash text not null unique,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists admin_sessions_email_idx on public.admin_sessions (admin_email);
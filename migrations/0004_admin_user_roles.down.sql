@@ -0,0 +1,2 @@
+alter table public.admin_users drop constraint if exists admin_users_role_check;
+alter table public.admin_users drop column if exists role;
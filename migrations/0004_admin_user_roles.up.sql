@@ -0,0 +1,8 @@
+-- Existing admins could edit everything before roles existed, so backfill them as editors.
+alter table public.admin_users add column if not exists role text not null default 'editor';
+alter table public.admin_users alter column role set default 'author';
+
+alter table public.admin_users drop constraint if exists admin_users_role_check;
+alter table public.admin_users
+  add constraint admin_users_role_check
+  check (role in ('author', 'editor', 'marketing', 'super_admin'));
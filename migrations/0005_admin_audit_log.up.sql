@@ -0,0 +1,14 @@
+create table if not exists public.admin_audit_log (
+  id uuid primary key default gen_random_uuid(),
+  actor_email text not null,
+  action text not null,
+  entity_type text not null,
+  entity_id text,
+  before jsonb,
+  after jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists admin_audit_log_created_idx on public.admin_audit_log (created_at desc);
+create index if not exists admin_audit_log_actor_idx on public.admin_audit_log (actor_email);
+create index if not exists admin_audit_log_entity_idx on public.admin_audit_log (entity_type, entity_id);
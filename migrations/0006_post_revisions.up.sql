@@ -0,0 +1,13 @@
+create table if not exists public.post_revisions (
+  id uuid primary key default gen_random_uuid(),
+  post_id uuid not null references public.posts (id) on delete cascade,
+  event text not null,
+  title text,
+  slug text,
+  content text,
+  snapshot jsonb not null,
+  editor_email text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists post_revisions_post_idx on public.post_revisions (post_id, created_at desc);
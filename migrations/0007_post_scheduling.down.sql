@@ -0,0 +1,4 @@
+drop index if exists public.posts_unpublish_idx;
+drop index if exists public.posts_scheduled_idx;
+alter table public.posts drop column if exists unpublish_at;
+alter table public.posts drop column if exists publish_at;
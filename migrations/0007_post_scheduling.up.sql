@@ -0,0 +1,5 @@
+alter table public.posts add column if not exists publish_at timestamptz;
+alter table public.posts add column if not exists unpublish_at timestamptz;
+
+create index if not exists posts_scheduled_idx on public.posts (status, publish_at);
+create index if not exists posts_unpublish_idx on public.posts (unpublish_at) where unpublish_at is not null;
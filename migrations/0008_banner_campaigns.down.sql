@@ -0,0 +1,6 @@
+drop index if exists public.banners_window_idx;
+alter table public.banners drop column if exists target_products;
+alter table public.banners drop column if exists target_paths;
+alter table public.banners drop column if exists priority;
+alter table public.banners drop column if exists ends_at;
+alter table public.banners drop column if exists starts_at;
@@ -0,0 +1,9 @@
+-- Banners become campaigns: several may be live at once, each within an optional time window
+-- and optionally targeted at specific page paths or products.
+alter table public.banners add column if not exists starts_at timestamptz;
+alter table public.banners add column if not exists ends_at timestamptz;
+alter table public.banners add column if not exists priority integer not null default 0;
+alter table public.banners add column if not exists target_paths text[] not null default '{}';
+alter table public.banners add column if not exists target_products text[] not null default '{}';
+
+create index if not exists banners_window_idx on public.banners (is_active, starts_at, ends_at);
@@ -0,0 +1,4 @@
+drop index if exists public.products_search_idx;
+alter table public.products drop column if exists search_vector;
+drop index if exists public.posts_search_idx;
+alter table public.posts drop column if exists search_vector;
@@ -0,0 +1,18 @@
+-- Full-text search vectors used by /api/search and the `q` filter on admin post/product lists.
+alter table public.posts add column if not exists search_vector tsvector
+  generated always as (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(excerpt, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(content, '')), 'C')
+  ) stored;
+
+create index if not exists posts_search_idx on public.posts using gin (search_vector);
+
+alter table public.products add column if not exists search_vector tsvector
+  generated always as (
+    setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(subtitle, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'C')
+  ) stored;
+
+create index if not exists products_search_idx on public.products using gin (search_vector);
@@ -0,0 +1,5 @@
+drop index if exists public.posts_category_idx;
+alter table public.posts drop column if exists category_id;
+drop table if exists public.post_tags;
+drop table if exists public.tags;
+drop table if exists public.categories;
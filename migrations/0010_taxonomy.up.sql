@@ -0,0 +1,27 @@
+create table if not exists public.categories (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  slug text not null unique,
+  description text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.tags (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  slug text not null unique,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.post_tags (
+  post_id uuid not null references public.posts (id) on delete cascade,
+  tag_id uuid not null references public.tags (id) on delete cascade,
+  primary key (post_id, tag_id)
+);
+
+create index if not exists post_tags_tag_idx on public.post_tags (tag_id);
+
+alter table public.posts
+  add column if not exists category_id uuid references public.categories (id) on delete set null;
+
+create index if not exists posts_category_idx on public.posts (category_id);
@@ -0,0 +1,7 @@
+drop index if exists public.contacts_email_idx;
+alter table public.contacts drop constraint if exists contacts_subscription_status_check;
+alter table public.contacts drop column if exists welcome_sent_at;
+alter table public.contacts drop column if exists unsubscribed_at;
+alter table public.contacts drop column if exists subscribed_at;
+alter table public.contacts drop column if exists confirmation_sent_at;
+alter table public.contacts drop column if exists subscription_status;
@@ -0,0 +1,19 @@
+-- Double opt-in subscription state for contacts. `subscription` stays as the boolean
+-- "currently subscribed" flag; `subscription_status` tracks the opt-in lifecycle.
+alter table public.contacts add column if not exists subscription_status text not null default 'none';
+alter table public.contacts add column if not exists confirmation_sent_at timestamptz;
+alter table public.contacts add column if not exists subscribed_at timestamptz;
+alter table public.contacts add column if not exists unsubscribed_at timestamptz;
+alter table public.contacts add column if not exists welcome_sent_at timestamptz;
+
+-- Existing subscribers opted in (and got their welcome email) before double opt-in existed.
+update public.contacts
+set subscription_status = 'subscribed', welcome_sent_at = coalesce(welcome_sent_at, now())
+where subscription = true and subscription_status = 'none';
+
+alter table public.contacts drop constraint if exists contacts_subscription_status_check;
+alter table public.contacts
+  add constraint contacts_subscription_status_check
+  check (subscription_status in ('none', 'pending', 'subscribed', 'unsubscribed'));
+
+create index if not exists contacts_email_idx on public.contacts (email);
@@ -0,0 +1,3 @@
+drop table if exists public.newsletter_deliveries;
+drop table if exists public.newsletters;
+drop function if exists public.set_newsletters_updated_at();
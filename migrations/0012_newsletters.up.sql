@@ -0,0 +1,43 @@
+create table if not exists public.newsletters (
+  id uuid primary key default gen_random_uuid(),
+  subject text not null,
+  html text not null,
+  post_id uuid references public.posts (id) on delete set null,
+  status text not null default 'draft' check (status in ('draft', 'sending', 'sent')),
+  created_by text,
+  recipient_count integer not null default 0,
+  sent_count integer not null default 0,
+  failed_count integer not null default 0,
+  started_at timestamptz,
+  completed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.newsletter_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  newsletter_id uuid not null references public.newsletters (id) on delete cascade,
+  email text not null,
+  status text not null default 'pending' check (status in ('pending', 'sent', 'failed')),
+  error text,
+  sent_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (newsletter_id, email)
+);
+
+create index if not exists newsletter_deliveries_status_idx
+  on public.newsletter_deliveries (newsletter_id, status, created_at);
+
+create or replace function public.set_newsletters_updated_at()
+returns trigger as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists set_newsletters_updated_at on public.newsletters;
+create trigger set_newsletters_updated_at
+before update on public.newsletters
+for each row
+execute function public.set_newsletters_updated_at();
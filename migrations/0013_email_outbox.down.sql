@@ -0,0 +1,7 @@
+update public.newsletter_deliveries set status = 'pending' where status = 'queued';
+alter table public.newsletter_deliveries drop constraint if exists newsletter_deliveries_status_check;
+alter table public.newsletter_deliveries
+  add constraint newsletter_deliveries_status_check
+  check (status in ('pending', 'sent', 'failed'));
+
+drop table if exists public.email_outbox;
@@ -0,0 +1,27 @@
+create table if not exists public.email_outbox (
+  id uuid primary key default gen_random_uuid(),
+  to_addresses text[] not null,
+  subject text not null,
+  html text,
+  text text,
+  reply_to text,
+  attachments jsonb,
+  context jsonb,
+  transport text not null,
+  status text not null default 'pending' check (status in ('pending', 'sending', 'sent', 'dead')),
+  attempts integer not null default 0,
+  last_error text,
+  provider_id text,
+  next_attempt_at timestamptz not null default now(),
+  locked_at timestamptz,
+  sent_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists email_outbox_due_idx on public.email_outbox (status, next_attempt_at);
+
+-- Newsletter deliveries whose first attempt failed wait in the outbox as "queued".
+alter table public.newsletter_deliveries drop constraint if exists newsletter_deliveries_status_check;
+alter table public.newsletter_deliveries
+  add constraint newsletter_deliveries_status_check
+  check (status in ('pending', 'queued', 'sent', 'failed'));
@@ -0,0 +1,4 @@
+drop table if exists public.contact_notes;
+drop index if exists public.contacts_lead_status_idx;
+alter table public.contacts drop column if exists assignee_email;
+alter table public.contacts drop column if exists lead_status;
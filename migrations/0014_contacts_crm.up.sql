@@ -0,0 +1,17 @@
+-- Lead pipeline, assignment and internal notes for contacts.
+alter table public.contacts
+  add column if not exists lead_status text not null default 'new'
+    check (lead_status in ('new', 'contacted', 'qualified', 'closed')),
+  add column if not exists assignee_email text;
+
+create index if not exists contacts_lead_status_idx on public.contacts (lead_status);
+
+create table if not exists public.contact_notes (
+  id uuid primary key default gen_random_uuid(),
+  contact_id uuid not null references public.contacts (id) on delete cascade,
+  author_email text not null,
+  body text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists contact_notes_contact_idx on public.contact_notes (contact_id, created_at desc);
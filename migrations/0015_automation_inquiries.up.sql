@@ -0,0 +1,17 @@
+-- Leads from the "AI automation" prompt, stored before the notification email is sent.
+create table if not exists public.automation_inquiries (
+  id uuid primary key default gen_random_uuid(),
+  choice text not null check (choice in ('yes', 'maybe', 'no')),
+  phone text,
+  phone_raw text,
+  source_page text,
+  contact_id uuid references public.contacts (id) on delete set null,
+  status text not null default 'new' check (status in ('new', 'contacted', 'qualified', 'closed')),
+  assignee_email text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists automation_inquiries_created_idx
+  on public.automation_inquiries (created_at desc);
+create index if not exists automation_inquiries_contact_idx
+  on public.automation_inquiries (contact_id);
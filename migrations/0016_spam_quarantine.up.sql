@@ -0,0 +1,18 @@
+-- Public form submissions flagged by the spam checks, kept for review instead of dropped.
+create table if not exists public.spam_quarantine (
+  id uuid primary key default gen_random_uuid(),
+  form text not null,
+  reason text not null,
+  payload jsonb not null default '{}'::jsonb,
+  ip text,
+  user_agent text,
+  referer text,
+  status text not null default 'quarantined'
+    check (status in ('quarantined', 'released', 'discarded')),
+  reviewed_by text,
+  reviewed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists spam_quarantine_status_created_idx
+  on public.spam_quarantine (status, created_at desc);
@@ -0,0 +1,20 @@
+-- Media library: one row per uploaded image. `path` is the storage prefix holding the
+-- variants; `variants` maps variant name to { url, path, width, height, size }.
+create table if not exists public.media (
+  id uuid primary key default gen_random_uuid(),
+  bucket text not null,
+  path text not null unique,
+  url text not null,
+  variants jsonb,
+  filename text,
+  target text,
+  content_type text not null,
+  size_bytes bigint not null default 0,
+  width integer,
+  height integer,
+  alt_text text,
+  uploaded_by text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists media_created_idx on public.media (created_at desc);
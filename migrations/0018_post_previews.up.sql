@@ -0,0 +1,14 @@
+-- Shareable, expiring preview links for unpublished posts. Tokens are signed and derived from
+-- the row, so only the id is stored.
+create table if not exists public.post_previews (
+  id uuid primary key default gen_random_uuid(),
+  post_id uuid not null references public.posts (id) on delete cascade,
+  created_by text,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  last_viewed_at timestamptz,
+  view_count integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists post_previews_post_idx on public.post_previews (post_id, created_at desc);
@@ -0,0 +1,5 @@
+alter table public.posts drop column if exists auto_excerpt;
+alter table public.posts drop column if exists reading_time_minutes;
+alter table public.posts drop column if exists word_count;
+alter table public.posts drop column if exists toc;
+alter table public.posts drop column if exists content_html;
@@ -0,0 +1,7 @@
+-- Rendered HTML and derived reading aids, computed by the API whenever a post's content is
+-- saved. Rows saved before this migration are rendered on read until they are next edited.
+alter table public.posts add column if not exists content_html text;
+alter table public.posts add column if not exists toc jsonb;
+alter table public.posts add column if not exists word_count integer;
+alter table public.posts add column if not exists reading_time_minutes integer;
+alter table public.posts add column if not exists auto_excerpt text;
@@ -0,0 +1 @@
+drop function if exists public.contact_duplicate_emails();
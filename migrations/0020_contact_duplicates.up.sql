@@ -0,0 +1,14 @@
+-- Contact rows that share an address regardless of case, grouped in the database so the
+-- duplicates report doesn't have to load every contact. `ids` are oldest first.
+create or replace function public.contact_duplicate_emails()
+returns table (email text, count bigint, ids uuid[])
+language sql
+stable
+as $$
+  select lower(trim(c.email)), count(*), array_agg(c.id order by c.created_at)
+  from public.contacts c
+  where trim(c.email) <> ''
+  group by lower(trim(c.email))
+  having count(*) > 1
+  order by 1;
+$$;
@@ -0,0 +1 @@
+drop function if exists public.search_documents(text, text[], boolean, text);
@@ -0,0 +1,35 @@
+-- Ranked full-text search over posts and products for /api/search and the admin `q` filters.
+-- Returns one row per hit so callers can order by `rank` and page with PostgREST's `range`.
+-- `public_only` applies the same visibility rules as the public post endpoints.
+create or replace function public.search_documents(
+  q text,
+  kinds text[] default array['post', 'product'],
+  public_only boolean default true,
+  status_filter text default null
+)
+returns table (kind text, id uuid, rank real)
+language sql
+stable
+as $$
+  with query as (select websearch_to_tsquery('english', q) as tsq)
+  select 'post'::text, p.id, ts_rank(p.search_vector, query.tsq)
+  from public.posts p, query
+  where 'post' = any (kinds)
+    and p.search_vector @@ query.tsq
+    and (status_filter is null or p.status = status_filter)
+    and (
+      not public_only
+      or (
+        p.status in ('published', 'scheduled')
+        and (p.publish_at is null or p.publish_at <= now())
+        and (p.status = 'published' or p.publish_at <= now())
+        and (p.unpublish_at is null or p.unpublish_at > now())
+      )
+    )
+  union all
+  select 'product'::text, pr.id, ts_rank(pr.search_vector, query.tsq)
+  from public.products pr, query
+  where 'product' = any (kinds)
+    and pr.search_vector @@ query.tsq
+    and (status_filter is null or pr.status = status_filter);
+$$;
@@ -0,0 +1 @@
+alter table public.automation_inquiries drop column if exists email;
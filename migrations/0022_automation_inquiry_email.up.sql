@@ -0,0 +1,2 @@
+-- The submitted email, kept even when it matches no contact so the lead can still be reached.
+alter table public.automation_inquiries add column if not exists email text;
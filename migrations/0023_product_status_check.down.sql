@@ -0,0 +1 @@
+alter table public.products drop constraint if exists products_status_check;
@@ -0,0 +1,15 @@
+-- Products had a free-form `status`; the API now only accepts draft, active and archived.
+-- Existing rows are mapped onto those first: live-sounding values become active, retired ones
+-- archived, and anything else draft so it is reviewed before it shows as active.
+update public.products
+set status = case
+  when lower(trim(status)) in ('active', 'published', 'live', 'public') then 'active'
+  when lower(trim(status)) in ('archived', 'inactive', 'hidden', 'retired', 'discontinued')
+    then 'archived'
+  else 'draft'
+end
+where status not in ('draft', 'active', 'archived');
+
+alter table public.products drop constraint if exists products_status_check;
+alter table public.products
+  add constraint products_status_check check (status in ('draft', 'active', 'archived'));
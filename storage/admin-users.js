@@ -0,0 +1,28 @@
+import { listRows, memoryCrud, pickColumns } from "./memory.js";
+import { supabaseCrud } from "./supabase.js";
+
+export const supabaseAdminUsers = (client) => ({
+  ...supabaseCrud(client, "admin_users"),
+
+  findByEmail: (email, columns = "*") =>
+    client.from("admin_users").select(columns).eq("email", email).maybeSingle(),
+
+  // Newest first.
+  list: (columns = "*") =>
+    client.from("admin_users").select(columns).order("created_at", { ascending: false }),
+});
+
+export const memoryAdminUsers = (database) => {
+  const users = () => database.table("admin_users");
+  return {
+    ...memoryCrud(database, "admin_users"),
+
+    findByEmail: async (email, columns = "*") => {
+      const [user] = users().select((row) => row.email === email);
+      return { data: user ? pickColumns(user, columns) : null, error: null };
+    },
+
+    list: async (columns = "*") =>
+      listRows(users().select(), [["created_at", { ascending: false }]], { columns }),
+  };
+};
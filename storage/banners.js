@@ -0,0 +1,47 @@
+import { listRows, memoryCrud } from "./memory.js";
+import { supabaseCrud } from "./supabase.js";
+
+// Highest priority first, then newest.
+const ORDER = [
+  ["priority", { ascending: false }],
+  ["created_at", { ascending: false }],
+];
+
+export const supabaseBanners = (client) => {
+  const ordered = (query) =>
+    ORDER.reduce((next, [column, options]) => next.order(column, options), query);
+  return {
+    ...supabaseCrud(client, "banners"),
+
+    list: () => ordered(client.from("banners").select("*")),
+
+    // Active banners that have not ended by `now`; the caller checks `starts_at` and targeting.
+    listActive: (now) =>
+      ordered(
+        client
+          .from("banners")
+          .select("*")
+          .eq("is_active", true)
+          .or(`ends_at.is.null,ends_at.gt.${now}`)
+      ),
+  };
+};
+
+export const memoryBanners = (database) => {
+  const banners = () => database.table("banners");
+  return {
+    ...memoryCrud(database, "banners"),
+
+    list: async () => listRows(banners().select(), ORDER),
+
+    listActive: async (now) =>
+      listRows(
+        banners().select(
+          (banner) =>
+            banner.is_active === true &&
+            (banner.ends_at == null || Date.parse(banner.ends_at) > Date.parse(now))
+        ),
+        ORDER
+      ),
+  };
+};
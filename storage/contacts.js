@@ -0,0 +1,139 @@
+import { listRows, memoryCrud, sameEmail, sortRows } from "./memory.js";
+import { supabaseCrud } from "./supabase.js";
+
+const SEARCH_COLUMNS = ["full_name", "email", "company", "message"];
+
+// PostgREST `or=` filters are comma/parenthesis delimited, so those characters can't be searched.
+const searchTerm = (value) =>
+  String(value)
+    .replace(/[,()%*\\]/g, " ")
+    .trim();
+
+export const supabaseContacts = (client) => {
+  // `%`, `_` and `\` in the address are escaped so they can't act as LIKE wildcards.
+  const byEmail = (query, email, ignoreCase) =>
+    ignoreCase
+      ? query.ilike(
+          "email",
+          String(email)
+            .trim()
+            .replace(/[\\%_]/g, "\\$&")
+        )
+      : query.eq("email", email);
+
+  return {
+    ...supabaseCrud(client, "contacts"),
+
+    // Newest first, paged by `from`/`to`, with the total count. `q` matches name, email, company
+    // or message; `subscribed` is "true"/"false".
+    list: ({ from, to, q, need, company, subscribed, status, assignee, since, until } = {}) => {
+      let query = client
+        .from("contacts")
+        .select("*", { count: "exact" })
+        .order("created_at", { ascending: false })
+        .range(from, to);
+
+      if (q) {
+        const pattern = `%${searchTerm(q)}%`;
+        query = query.or(SEARCH_COLUMNS.map((c) => `${c}.ilike.${pattern}`).join(","));
+      }
+      if (need) query = query.eq("need", need);
+      if (company) query = query.ilike("company", `%${searchTerm(company)}%`);
+      if (subscribed === "true") query = query.eq("subscription_status", "subscribed");
+      if (subscribed === "false") query = query.neq("subscription_status", "subscribed");
+      if (status) query = query.eq("lead_status", status);
+      if (assignee) query = query.eq("assignee_email", assignee);
+      if (since) query = query.gte("created_at", since);
+      if (until) query = query.lte("created_at", until);
+      return query;
+    },
+
+    // Every row for `email`, oldest first. `ignoreCase` matches the address exactly but
+    // case-insensitively, which is how duplicates are detected.
+    listByEmail: (email, { ignoreCase = false, columns = "*" } = {}) =>
+      byEmail(client.from("contacts").select(columns), email, ignoreCase).order("created_at", {
+        ascending: true,
+      }),
+
+    updateByEmail: (email, values) => client.from("contacts").update(values).eq("email", email),
+
+    listSubscribed: (columns = "*") =>
+      client.from("contacts").select(columns).eq("subscription_status", "subscribed"),
+
+    // Emails (lowercased) that have more than one contact row, with the ids of those rows oldest
+    // first. Grouped by migrations/0020_contact_duplicates.up.sql.
+    findDuplicateEmails: () => client.rpc("contact_duplicate_emails"),
+
+    removeMany: (ids) => client.from("contacts").delete().in("id", ids),
+  };
+};
+
+const includesText = (value, term) =>
+  value != null && String(value).toLowerCase().includes(term.toLowerCase());
+
+const onOrAfter = (value, bound) => value != null && Date.parse(value) >= Date.parse(bound);
+
+export const memoryContacts = (database) => {
+  const contacts = () => database.table("contacts");
+  return {
+    ...memoryCrud(database, "contacts"),
+
+    list: async ({ from, to, q, need, company, subscribed, status, assignee, since, until } = {}) =>
+      listRows(
+        contacts().select(
+          (row) =>
+            (!q || SEARCH_COLUMNS.some((column) => includesText(row[column], searchTerm(q)))) &&
+            (!need || row.need === need) &&
+            (!company || includesText(row.company, searchTerm(company))) &&
+            (subscribed !== "true" || row.subscription_status === "subscribed") &&
+            (subscribed !== "false" || row.subscription_status !== "subscribed") &&
+            (!status || row.lead_status === status) &&
+            (!assignee || row.assignee_email === assignee) &&
+            (!since || onOrAfter(row.created_at, since)) &&
+            (!until || onOrAfter(until, row.created_at))
+        ),
+        [["created_at", { ascending: false }]],
+        { from, to, count: true }
+      ),
+
+    listByEmail: async (email, { ignoreCase = false, columns = "*" } = {}) =>
+      listRows(
+        contacts().select((row) =>
+          ignoreCase ? sameEmail(row.email, email) : row.email === email
+        ),
+        [["created_at", { ascending: true }]],
+        { columns }
+      ),
+
+    updateByEmail: async (email, values) => {
+      const { error } = contacts().update((row) => row.email === email, values);
+      return { data: null, error };
+    },
+
+    listSubscribed: async (columns = "*") =>
+      listRows(
+        contacts().select((row) => row.subscription_status === "subscribed"),
+        [],
+        { columns }
+      ),
+
+    findDuplicateEmails: async () => {
+      const byAddress = new Map();
+      const rows = contacts().select((contact) => String(contact.email || "").trim());
+      for (const row of sortRows(rows, [["created_at", { ascending: true }]])) {
+        const key = String(row.email).trim().toLowerCase();
+        byAddress.set(key, [...(byAddress.get(key) || []), row.id]);
+      }
+      const data = [...byAddress.entries()]
+        .filter(([, ids]) => ids.length > 1)
+        .map(([email, ids]) => ({ email, count: ids.length, ids }))
+        .sort((a, b) => a.email.localeCompare(b.email));
+      return { data, error: null };
+    },
+
+    removeMany: async (ids) => {
+      contacts().delete((row) => ids.includes(row.id));
+      return { data: null, error: null };
+    },
+  };
+};
@@ -0,0 +1,32 @@
+// The storage backends. Each exposes `client` (a supabase-js client, or its in-memory stand-in)
+// for the tables without a repository, plus one repository per entity below.
+import { supabaseAdminUsers, memoryAdminUsers } from "./admin-users.js";
+import { supabaseBanners, memoryBanners } from "./banners.js";
+import { supabaseContacts, memoryContacts } from "./contacts.js";
+import { createMemoryClient, createMemoryDatabase } from "./memory.js";
+import { supabasePosts, memoryPosts } from "./posts.js";
+import { supabaseProducts, memoryProducts } from "./products.js";
+import { supabaseSearch, memorySearch } from "./search.js";
+
+export const createSupabaseStorage = (client) => ({
+  client,
+  posts: supabasePosts(client),
+  products: supabaseProducts(client),
+  banners: supabaseBanners(client),
+  contacts: supabaseContacts(client),
+  adminUsers: supabaseAdminUsers(client),
+  search: supabaseSearch(client),
+});
+
+export const createMemoryStorage = ({ publicUrl, seedFile } = {}) => {
+  const database = createMemoryDatabase({ seedFile });
+  return {
+    client: createMemoryClient(database, { publicUrl }),
+    posts: memoryPosts(database),
+    products: memoryProducts(database),
+    banners: memoryBanners(database),
+    contacts: memoryContacts(database),
+    adminUsers: memoryAdminUsers(database),
+    search: memorySearch(database),
+  };
+};
@@ -0,0 +1,552 @@
+// In-memory backend for local development and integration tests. `createMemoryDatabase` holds
+// the tables; the repositories in this directory work on them directly, and `createMemoryClient`
+// serves every other table through the small subset of the supabase-js client those routes use
+// (select/insert/update/delete with filters, ordering, ranges and counts) plus storage buckets.
+// Data lives for the lifetime of the process, optionally seeded from a JSON file
+// (`{ "posts": [ ... ], "products": [ ... ] }`). There are no transactions, foreign keys or
+// triggers beyond the column defaults and unique keys declared below.
+import crypto from "crypto";
+import fs from "fs";
+
+// Defaults and unique keys mirroring migrations/; `updatedAt` tables get `updated_at` maintained.
+const TABLES = {
+  posts: { unique: [["slug"]], defaults: { status: "draft" }, updatedAt: true },
+  products: { unique: [["slug"]], updatedAt: true },
+  banners: {
+    defaults: { is_active: false, priority: 0, target_paths: [], target_products: [] },
+    updatedAt: true,
+  },
+  categories: { unique: [["slug"]] },
+  tags: { unique: [["slug"]] },
+  post_tags: { unique: [["post_id", "tag_id"]] },
+  admin_users: { unique: [["email"]], defaults: { role: "author" } },
+  admin_sessions: { unique: [["refresh_token_hash"]] },
+  contacts: { defaults: { subscription: false, subscription_status: "none", lead_status: "new" } },
+  automation_inquiries: { defaults: { status: "new" } },
+  newsletters: {
+    defaults: { status: "draft", recipient_count: 0, sent_count: 0, failed_count: 0 },
+    updatedAt: true,
+  },
+  newsletter_deliveries: { unique: [["newsletter_id", "email"]], defaults: { status: "pending" } },
+  email_outbox: { defaults: { status: "pending", attempts: 0 }, now: ["next_attempt_at"] },
+  spam_quarantine: { defaults: { status: "quarantined", payload: {} } },
+  media: { unique: [["path"]], defaults: { size_bytes: 0 } },
+  post_previews: { defaults: { view_count: 0 } },
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+const clone = (value) => (value === undefined ? value : structuredClone(value));
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (
+    typeof a === "string" &&
+    typeof b === "string" &&
+    DATE_PATTERN.test(a) &&
+    DATE_PATTERN.test(b)
+  ) {
+    return Date.parse(a) - Date.parse(b);
+  }
+  if (typeof a === "number" || typeof b === "number") return Number(a) - Number(b);
+  return String(a).localeCompare(String(b));
+};
+
+// `%` and `_` are wildcards unless escaped with a backslash, as in Postgres.
+const likePattern = (pattern, flags) =>
+  new RegExp(
+    `^${String(pattern).replace(/\\(.)|([%_])|(.)/gs, (match, escaped, wildcard, literal) => {
+      if (wildcard) return wildcard === "%" ? ".*" : ".";
+      return (escaped ?? literal).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })}$`,
+    flags
+  );
+
+// Parses PostgREST literals as they appear in `or=` filters.
+const parseLiteral = (value) => {
+  if (value === "null") return null;
+  if (value === "true") return true;
+  if (value === "false") return false;
+  return value;
+};
+
+const OPERATORS = {
+  eq: (value, expected) =>
+    value === expected || (value != null && compareValues(value, expected) === 0),
+  neq: (value, expected) => !OPERATORS.eq(value, expected),
+  gt: (value, expected) => value != null && compareValues(value, expected) > 0,
+  gte: (value, expected) => value != null && compareValues(value, expected) >= 0,
+  lt: (value, expected) => value != null && compareValues(value, expected) < 0,
+  lte: (value, expected) => value != null && compareValues(value, expected) <= 0,
+  in: (value, expected) => expected.some((item) => OPERATORS.eq(value, item)),
+  is: (value, expected) => (expected === null ? value == null : value === expected),
+  like: (value, pattern) => value != null && likePattern(pattern).test(String(value)),
+  ilike: (value, pattern) => value != null && likePattern(pattern, "i").test(String(value)),
+};
+
+// `a.is.null,b.lte.2024-01-01T00:00:00Z` -> one predicate that matches when any part matches.
+const parseOrFilter = (expression) => {
+  const conditions = expression.split(",").map((part) => {
+    const [column, operator, ...rest] = part.trim().split(".");
+    if (!OPERATORS[operator]) {
+      throw new Error(`Unsupported operator in or(): ${operator}`);
+    }
+    return { column, operator, value: parseLiteral(rest.join(".")) };
+  });
+  return (row) =>
+    conditions.some(({ column, operator, value }) => OPERATORS[operator](row[column], value));
+};
+
+export const pickColumns = (row, columns = "*") => {
+  if (columns === "*") return clone(row);
+  return Object.fromEntries(
+    columns.split(",").map((column) => {
+      const name = column.trim();
+      return [name, clone(row[name] ?? null)];
+    })
+  );
+};
+
+// Sorts by each `[column, { ascending, nullsFirst }]` in turn; nulls sort as Postgres does
+// (last when ascending, first when descending) unless `nullsFirst` says otherwise.
+export const sortRows = (rows, orders) =>
+  [...rows].sort((a, b) => {
+    for (const [column, { ascending = true, nullsFirst = !ascending } = {}] of orders) {
+      const [left, right] = [a[column], b[column]];
+      if (left == null || right == null) {
+        if (left == null && right == null) continue;
+        return (left == null) === nullsFirst ? -1 : 1;
+      }
+      const result = compareValues(left, right);
+      if (result !== 0) return ascending ? result : -result;
+    }
+    return 0;
+  });
+
+// Sorts, pages (`from`/`to` or `limit`) and projects rows the way the Supabase repositories'
+// list queries do; `count: true` adds the number of rows before paging.
+export const listRows = (rows, orders, { columns = "*", from, to, limit, count = false } = {}) => {
+  const sorted = sortRows(rows, orders);
+  const page = from !== undefined ? sorted.slice(from, to + 1) : sorted.slice(0, limit);
+  return {
+    data: page.map((row) => pickColumns(row, columns)),
+    error: null,
+    count: count ? rows.length : null,
+  };
+};
+
+// Case-insensitive email equality, the in-memory counterpart of an escaped `ilike`.
+export const sameEmail = (a, b) =>
+  a != null && b != null && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+const searchWords = (query) =>
+  String(query)
+    .toLowerCase()
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .filter((word) => word && word !== "or");
+
+// Approximates Postgres `websearch_to_tsquery`: every plain word must appear, `-word` must not.
+export const matchesSearch = (row, columns, query) => {
+  const text = columns
+    .map((column) => row[column] || "")
+    .join(" ")
+    .toLowerCase();
+  return searchWords(query).every((word) =>
+    word.startsWith("-") ? !text.includes(word.slice(1)) : text.includes(word)
+  );
+};
+
+// Approximates `ts_rank` over a vector weighted A, B, C by column order: each hit of a plain word
+// counts with the default weight of its column.
+const RANK_WEIGHTS = [1, 0.4, 0.2];
+
+export const searchRank = (row, columns, query) => {
+  const words = searchWords(query).filter((word) => !word.startsWith("-"));
+  return columns.reduce((total, column, index) => {
+    const text = String(row[column] || "").toLowerCase();
+    const hits = words.reduce((sum, word) => sum + text.split(word).length - 1, 0);
+    return total + hits * (RANK_WEIGHTS[index] ?? RANK_WEIGHTS.at(-1));
+  }, 0);
+};
+
+// The rows of one table plus the column defaults, timestamps and unique keys from TABLES.
+// Reads hand out copies, so callers can never change a stored row by accident.
+class MemoryTable {
+  constructor(name, rows = []) {
+    this.name = name;
+    this.config = TABLES[name] || {};
+    this.rows = rows.map((values) => this.buildRow(values));
+  }
+
+  // A new row with generated id, column defaults and timestamps, overridden by `values`.
+  buildRow(values, now = new Date().toISOString()) {
+    return {
+      id: crypto.randomUUID(),
+      ...clone(this.config.defaults),
+      ...Object.fromEntries((this.config.now || []).map((column) => [column, now])),
+      created_at: now,
+      ...(this.config.updatedAt && { updated_at: now }),
+      ...clone(values),
+    };
+  }
+
+  // Returns a 23505 error like Postgres when `candidate` collides with another row.
+  uniqueViolation(candidate, ignore) {
+    for (const key of this.config.unique || []) {
+      if (key.some((column) => candidate[column] == null)) continue;
+      const clash = this.rows.find(
+        (row) =>
+          row !== ignore && key.every((column) => OPERATORS.eq(row[column], candidate[column]))
+      );
+      if (clash) {
+        const values = key.map((column) => candidate[column]).join(", ");
+        const constraint = `${this.name}_${key.join("_")}_key`;
+        return {
+          code: "23505",
+          message: `duplicate key value violates unique constraint "${constraint}"`,
+          details: `Key (${key.join(", ")})=(${values}) already exists.`,
+        };
+      }
+    }
+    return null;
+  }
+
+  select(predicate = () => true) {
+    return this.rows.filter(predicate).map(clone);
+  }
+
+  insert(valuesList) {
+    const now = new Date().toISOString();
+    const inserted = [];
+    for (const values of valuesList) {
+      const row = this.buildRow(values, now);
+      const error = this.uniqueViolation(row);
+      if (error) return { data: null, error };
+      this.rows.push(row);
+      inserted.push(row);
+    }
+    return { data: inserted.map(clone), error: null };
+  }
+
+  // Updates every row matching `predicate`, or none of them when one would break a unique key.
+  update(predicate, values) {
+    const now = new Date().toISOString();
+    const matched = this.rows.filter(predicate);
+    const next = matched.map((row) => ({
+      ...row,
+      ...(this.config.updatedAt && { updated_at: now }),
+      ...clone(values),
+    }));
+    for (const [index, row] of next.entries()) {
+      const error = this.uniqueViolation(row, matched[index]);
+      if (error) return { data: null, error };
+    }
+    matched.forEach((row, index) => Object.assign(row, next[index]));
+    return { data: matched.map(clone), error: null };
+  }
+
+  delete(predicate) {
+    const deleted = this.rows.filter(predicate);
+    this.rows = this.rows.filter((row) => !deleted.includes(row));
+    return { data: deleted.map(clone), error: null };
+  }
+}
+
+const loadSeed = (seedFile) => {
+  if (!seedFile) return {};
+  return JSON.parse(fs.readFileSync(seedFile, "utf8"));
+};
+
+export const createMemoryDatabase = ({ seedFile } = {}) => {
+  const tables = new Map(
+    Object.entries(loadSeed(seedFile)).map(([name, rows]) => [name, new MemoryTable(name, rows)])
+  );
+  return {
+    table: (name) => {
+      if (!tables.has(name)) tables.set(name, new MemoryTable(name));
+      return tables.get(name);
+    },
+    buckets: new Map(),
+  };
+};
+
+const NOT_FOUND = { code: "PGRST116", message: "Row not found" };
+
+// findById/create/update/remove for one table, with the `{ data, error }` results the Supabase
+// repositories return.
+export const memoryCrud = (database, name) => {
+  const table = () => database.table(name);
+  const byId = (id) => (row) => row.id === id;
+  return {
+    findById: async (id, columns = "*") => {
+      const [row] = table().select(byId(id));
+      return row ? pickColumns(row, columns) : null;
+    },
+    create: async (values, columns = "*") => {
+      const { data, error } = table().insert([values]);
+      return error ? { data: null, error } : { data: pickColumns(data[0], columns), error: null };
+    },
+    update: async (id, values, columns = "*") => {
+      const { data, error } = table().update(byId(id), values);
+      if (error) return { data: null, error };
+      return data.length === 1
+        ? { data: pickColumns(data[0], columns), error: null }
+        : { data: null, error: NOT_FOUND };
+    },
+    remove: async (id) => {
+      table().delete(byId(id));
+      return { error: null };
+    },
+  };
+};
+
+class MemoryQuery {
+  constructor(table) {
+    this.table = table;
+    this.action = "select";
+    this.columns = "*";
+    this.returning = false;
+    this.filters = [];
+    this.orders = [];
+  }
+
+  select(columns = "*", { count, head } = {}) {
+    if (this.action === "select") {
+      this.count = count;
+      this.head = head;
+    } else {
+      this.returning = true;
+    }
+    this.columns = columns;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = "insert";
+    this.values = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  update(values) {
+    this.action = "update";
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = "delete";
+    return this;
+  }
+
+  where(predicate) {
+    this.filters.push(predicate);
+    return this;
+  }
+
+  eq(column, value) {
+    return this.where((row) => OPERATORS.eq(row[column], value));
+  }
+
+  neq(column, value) {
+    return this.where((row) => OPERATORS.neq(row[column], value));
+  }
+
+  gt(column, value) {
+    return this.where((row) => OPERATORS.gt(row[column], value));
+  }
+
+  gte(column, value) {
+    return this.where((row) => OPERATORS.gte(row[column], value));
+  }
+
+  lt(column, value) {
+    return this.where((row) => OPERATORS.lt(row[column], value));
+  }
+
+  lte(column, value) {
+    return this.where((row) => OPERATORS.lte(row[column], value));
+  }
+
+  in(column, values) {
+    return this.where((row) => OPERATORS.in(row[column], values));
+  }
+
+  is(column, value) {
+    return this.where((row) => OPERATORS.is(row[column], value));
+  }
+
+  ilike(column, pattern) {
+    return this.where((row) => OPERATORS.ilike(row[column], pattern));
+  }
+
+  or(expression) {
+    return this.where(parseOrFilter(expression));
+  }
+
+  order(column, { ascending = true, nullsFirst } = {}) {
+    this.orders.push([column, { ascending, nullsFirst }]);
+    return this;
+  }
+
+  range(from, to) {
+    this.offset = from;
+    this.rowLimit = to - from + 1;
+    return this;
+  }
+
+  limit(count) {
+    this.rowLimit = count;
+    return this;
+  }
+
+  single() {
+    this.expect = "single";
+    return this;
+  }
+
+  maybeSingle() {
+    this.expect = "maybeSingle";
+    return this;
+  }
+
+  then(onFulfilled, onRejected) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(onFulfilled, onRejected);
+  }
+
+  matches(row) {
+    return this.filters.every((predicate) => predicate(row));
+  }
+
+  result(rows) {
+    if (this.action !== "select" && !this.returning) {
+      return { data: null, error: null };
+    }
+
+    const data = rows.map((row) => pickColumns(row, this.columns));
+    if (this.expect === "single" && data.length !== 1) {
+      return {
+        data: null,
+        error: {
+          code: "PGRST116",
+          message: "JSON object requested, multiple (or no) rows returned",
+          details: `The result contains ${data.length} rows`,
+        },
+      };
+    }
+    if (this.expect === "maybeSingle" && data.length > 1) {
+      return {
+        data: null,
+        error: { code: "PGRST116", message: "JSON object requested, multiple rows returned" },
+      };
+    }
+    return { data: this.expect ? data[0] || null : data, error: null };
+  }
+
+  execute() {
+    const matches = (row) => this.matches(row);
+    if (this.action !== "select") {
+      const { data, error } =
+        this.action === "insert"
+          ? this.table.insert(this.values)
+          : this.action === "update"
+            ? this.table.update(matches, this.values)
+            : this.table.delete(matches);
+      return error ? { data: null, error } : this.result(sortRows(data, this.orders));
+    }
+
+    const matched = this.table.select(matches);
+    const sorted = sortRows(matched, this.orders);
+    const start = this.offset || 0;
+    const page = sorted.slice(
+      start,
+      this.rowLimit === undefined ? undefined : start + this.rowLimit
+    );
+    const count = this.count ? matched.length : null;
+    if (this.head) {
+      return { data: null, error: null, count };
+    }
+    return { ...this.result(page), count };
+  }
+}
+
+class MemoryBucket {
+  constructor(objects, bucket, publicUrl) {
+    this.objects = objects;
+    this.bucket = bucket;
+    this.publicUrl = publicUrl;
+  }
+
+  async upload(objectPath, body, { contentType, upsert = false } = {}) {
+    if (this.objects.has(objectPath) && !upsert) {
+      return { data: null, error: { message: "The resource already exists", statusCode: "409" } };
+    }
+    this.objects.set(objectPath, {
+      data: Buffer.from(body),
+      contentType: contentType || "application/octet-stream",
+      created_at: new Date().toISOString(),
+    });
+    return { data: { path: objectPath }, error: null };
+  }
+
+  async download(objectPath) {
+    const object = this.objects.get(objectPath);
+    if (!object) {
+      return { data: null, error: { message: "Object not found", statusCode: "404" } };
+    }
+    return { data: new Blob([object.data], { type: object.contentType }), error: null };
+  }
+
+  async remove(paths) {
+    const removed = paths.filter((objectPath) => this.objects.delete(objectPath));
+    return { data: removed.map((name) => ({ name })), error: null };
+  }
+
+  // Immediate children of `prefix`: files carry an id, sub-folders have `id: null`.
+  async list(prefix = "", { limit = 100, offset = 0 } = {}) {
+    const base = prefix ? `${prefix.replace(/\/$/, "")}/` : "";
+    const entries = new Map();
+    for (const [objectPath, object] of this.objects) {
+      if (!objectPath.startsWith(base)) continue;
+      const [name, ...rest] = objectPath.slice(base.length).split("/");
+      if (entries.has(name)) continue;
+      entries.set(
+        name,
+        rest.length > 0
+          ? { name, id: null, created_at: null, metadata: null }
+          : {
+              name,
+              id: objectPath,
+              created_at: object.created_at,
+              metadata: { size: object.data.length, mimetype: object.contentType },
+            }
+      );
+    }
+    const data = [...entries.values()]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .slice(offset, offset + limit);
+    return { data, error: null };
+  }
+
+  getPublicUrl(objectPath) {
+    return {
+      data: {
+        publicUrl: `${this.publicUrl}/storage/v1/object/public/${this.bucket}/${objectPath}`,
+      },
+    };
+  }
+}
+
+export const createMemoryClient = (database, { publicUrl = "" } = {}) => ({
+  from: (table) => new MemoryQuery(database.table(table)),
+  storage: {
+    from: (bucket) => {
+      if (!database.buckets.has(bucket)) {
+        database.buckets.set(bucket, new Map());
+      }
+      return new MemoryBucket(database.buckets.get(bucket), bucket, publicUrl);
+    },
+  },
+});
@@ -0,0 +1,123 @@
+import { listRows, memoryCrud } from "./memory.js";
+import { supabaseCrud } from "./supabase.js";
+
+// A post is public once published, or once a scheduled post is due even if the scheduler has not
+// flipped it yet, and stops being public at `unpublish_at` regardless of the scheduler. A
+// scheduled post without a `publish_at` is never due.
+const PUBLIC_STATUSES = ["published", "scheduled"];
+
+const publicFilters = (query) => {
+  const now = new Date().toISOString();
+  return query
+    .in("status", PUBLIC_STATUSES)
+    .or(`publish_at.is.null,publish_at.lte.${now}`)
+    .or(`status.eq.published,publish_at.lte.${now}`)
+    .or(`unpublish_at.is.null,unpublish_at.gt.${now}`);
+};
+
+export const supabasePosts = (client) => ({
+  ...supabaseCrud(client, "posts"),
+
+  // Public posts, newest first. `ids`/`categoryId` narrow the set and `from`/`to` or `limit` page
+  // it. `count: true` adds the total match count.
+  listPublic: ({ columns = "*", ids, categoryId, from, to, limit, count = false } = {}) => {
+    let query = publicFilters(
+      client.from("posts").select(columns, count ? { count: "exact" } : {})
+    ).order("published_at", { ascending: false, nullsLast: true });
+    if (ids) query = query.in("id", ids);
+    if (categoryId) query = query.eq("category_id", categoryId);
+    if (from !== undefined) query = query.range(from, to);
+    if (limit) query = query.limit(limit);
+    return query;
+  },
+
+  findPublicBySlug: (slug) =>
+    publicFilters(client.from("posts").select("*").eq("slug", slug)).maybeSingle(),
+
+  // Every post whatever its status, most recently edited first.
+  list: ({ columns = "*", status, count = false } = {}) => {
+    let query = client
+      .from("posts")
+      .select(columns, count ? { count: "exact" } : {})
+      .order("updated_at", { ascending: false, nullsLast: true });
+    if (status) query = query.eq("status", status);
+    return query;
+  },
+
+  // Scheduled posts whose `publish_at` has passed become published; returns them.
+  publishDue: (now) =>
+    client
+      .from("posts")
+      .update({ status: "published" })
+      .eq("status", "scheduled")
+      .lte("publish_at", now)
+      .select("*"),
+
+  // Live or scheduled posts whose `unpublish_at` has passed go back to draft; returns them.
+  unpublishExpired: (now) =>
+    client
+      .from("posts")
+      .update({ status: "draft", published_at: null, publish_at: null, unpublish_at: null })
+      .in("status", PUBLIC_STATUSES)
+      .lte("unpublish_at", now)
+      .select("*"),
+});
+
+const time = (value) => (value ? Date.parse(value) : null);
+
+export const isPublic = (post, now = Date.now()) => {
+  if (!PUBLIC_STATUSES.includes(post.status)) return false;
+  const publishAt = time(post.publish_at);
+  const due = publishAt === null ? post.status === "published" : publishAt <= now;
+  const unpublishAt = time(post.unpublish_at);
+  return due && (unpublishAt === null || unpublishAt > now);
+};
+
+export const memoryPosts = (database) => {
+  const posts = () => database.table("posts");
+  return {
+    ...memoryCrud(database, "posts"),
+
+    listPublic: async ({ ids, categoryId, ...options } = {}) =>
+      listRows(
+        posts().select(
+          (post) =>
+            isPublic(post) &&
+            (!ids || ids.includes(post.id)) &&
+            (!categoryId || post.category_id === categoryId)
+        ),
+        [["published_at", { ascending: false, nullsFirst: false }]],
+        options
+      ),
+
+    findPublicBySlug: async (slug) => {
+      const [post] = posts().select((row) => row.slug === slug && isPublic(row));
+      return { data: post || null, error: null };
+    },
+
+    list: async ({ status, ...options } = {}) =>
+      listRows(
+        posts().select((post) => !status || post.status === status),
+        [["updated_at", { ascending: false, nullsFirst: false }]],
+        options
+      ),
+
+    publishDue: async (now) =>
+      posts().update(
+        (post) =>
+          post.status === "scheduled" &&
+          post.publish_at != null &&
+          time(post.publish_at) <= time(now),
+        { status: "published" }
+      ),
+
+    unpublishExpired: async (now) =>
+      posts().update(
+        (post) =>
+          PUBLIC_STATUSES.includes(post.status) &&
+          post.unpublish_at != null &&
+          time(post.unpublish_at) <= time(now),
+        { status: "draft", published_at: null, publish_at: null, unpublish_at: null }
+      ),
+  };
+};
@@ -0,0 +1,33 @@
+import { listRows, memoryCrud } from "./memory.js";
+import { supabaseCrud } from "./supabase.js";
+
+export const supabaseProducts = (client) => ({
+  ...supabaseCrud(client, "products"),
+
+  // Newest first by `order` (`created_at` or `updated_at`).
+  list: ({ columns = "*", subtitle, status, order = "created_at" } = {}) => {
+    let query = client
+      .from("products")
+      .select(columns)
+      .order(order, { ascending: false, nullsLast: true });
+    if (subtitle) query = query.eq("subtitle", subtitle);
+    if (status) query = query.eq("status", status);
+    return query;
+  },
+});
+
+export const memoryProducts = (database) => ({
+  ...memoryCrud(database, "products"),
+
+  list: async ({ subtitle, status, order = "created_at", ...options } = {}) =>
+    listRows(
+      database
+        .table("products")
+        .select(
+          (product) =>
+            (!subtitle || product.subtitle === subtitle) && (!status || product.status === status)
+        ),
+      [[order, { ascending: false, nullsFirst: false }]],
+      options
+    ),
+});
@@ -0,0 +1,80 @@
+import { matchesSearch, searchRank, sortRows } from "./memory.js";
+import { isPublic } from "./posts.js";
+
+// The table behind each searchable kind and the columns of its generated `search_vector`
+// (migrations/0009_search.up.sql), weighted A, B, C in this order.
+const SEARCHABLE = {
+  post: { table: "posts", columns: ["title", "excerpt", "content"] },
+  product: { table: "products", columns: ["name", "subtitle", "description"] },
+};
+const KINDS = Object.keys(SEARCHABLE);
+
+const hitKey = (kind, id) => `${kind}:${id}`;
+
+export const supabaseSearch = (client) => ({
+  // Rows of `kinds` matching the websearch query `q`, best first, ranked and paged by `from`/`to`
+  // in the database (migrations/0021_search_rank.up.sql). `publicOnly` limits posts to public
+  // ones; `status` matches exactly. Resolves to `{ data: [{ kind, rank, row }], count }`.
+  rank: async ({ q, kinds = KINDS, publicOnly = true, status = null, from, to }) => {
+    const {
+      data: hits,
+      error,
+      count,
+    } = await client
+      .rpc(
+        "search_documents",
+        { q, kinds, public_only: publicOnly, status_filter: status },
+        { count: "exact" }
+      )
+      .order("rank", { ascending: false })
+      .order("id", { ascending: true })
+      .range(from, to);
+    if (error) return { data: null, error, count: null };
+
+    const rows = new Map();
+    for (const kind of kinds.filter((name) => SEARCHABLE[name])) {
+      const ids = hits.filter((hit) => hit.kind === kind).map((hit) => hit.id);
+      if (ids.length === 0) continue;
+      const { data, error: rowsError } = await client
+        .from(SEARCHABLE[kind].table)
+        .select("*")
+        .in("id", ids);
+      if (rowsError) return { data: null, error: rowsError, count: null };
+      for (const row of data || []) rows.set(hitKey(kind, row.id), row);
+    }
+
+    // A row deleted between the two queries is dropped rather than returned empty.
+    const data = hits
+      .filter((hit) => rows.has(hitKey(hit.kind, hit.id)))
+      .map((hit) => ({ kind: hit.kind, rank: hit.rank, row: rows.get(hitKey(hit.kind, hit.id)) }));
+    return { data, error: null, count };
+  },
+});
+
+export const memorySearch = (database) => ({
+  rank: async ({ q, kinds = KINDS, publicOnly = true, status = null, from, to }) => {
+    const hits = kinds
+      .filter((kind) => SEARCHABLE[kind])
+      .flatMap((kind) => {
+        const { table, columns } = SEARCHABLE[kind];
+        return database
+          .table(table)
+          .select(
+            (row) =>
+              (!publicOnly || kind !== "post" || isPublic(row)) &&
+              (!status || row.status === status) &&
+              matchesSearch(row, columns, q)
+          )
+          .map((row) => ({ kind, id: row.id, rank: searchRank(row, columns, q), row }));
+      });
+    const ranked = sortRows(hits, [
+      ["rank", { ascending: false }],
+      ["id", { ascending: true }],
+    ]);
+    return {
+      data: ranked.slice(from, to + 1).map(({ kind, rank, row }) => ({ kind, rank, row })),
+      error: null,
+      count: hits.length,
+    };
+  },
+});
@@ -0,0 +1,12 @@
+// findById/create/update/remove for one table through the supabase-js client. Results keep the
+// client's `{ data, error }` shape; `findById` resolves to the row or null.
+export const supabaseCrud = (client, table) => ({
+  findById: async (id, columns = "*") => {
+    const { data } = await client.from(table).select(columns).eq("id", id).maybeSingle();
+    return data || null;
+  },
+  create: (values, columns = "*") => client.from(table).insert([values]).select(columns).single(),
+  update: (id, values, columns = "*") =>
+    client.from(table).update(values).eq("id", id).select(columns).single(),
+  remove: (id) => client.from(table).delete().eq("id", id),
+});
@@ -0,0 +1,79 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { signTestToken, startServer } from "./helpers.js";
+
+describe("admin auth", () => {
+  let api;
+  before(async () => {
+    api = await startServer();
+  });
+  after(() => api.close());
+
+  it("rejects wrong credentials", async () => {
+    const { status } = await api.request("POST", "/api/admin/login", {
+      body: { email: "admin@example.com", password: "nope" },
+    });
+    assert.equal(status, 401);
+  });
+
+  it("requires a valid access token on admin routes", async () => {
+    assert.equal((await api.request("GET", "/api/admin/posts")).status, 401);
+    const forged = await api.request("GET", "/api/admin/posts", { token: "abc.def" });
+    assert.equal(forged.status, 401);
+
+    const token = await api.login();
+    assert.equal((await api.request("GET", "/api/admin/posts", { token })).status, 200);
+  });
+
+  it("rejects sessions signed with the old built-in secret", async () => {
+    const token = await api.login();
+    const claims = JSON.parse(Buffer.from(token.split(".")[0], "base64url").toString());
+    const forged = signTestToken(claims, "goftus-admin-token");
+    assert.equal((await api.request("GET", "/api/admin/posts", { token: forged })).status, 401);
+    assert.equal((await api.request("GET", "/api/admin/posts", { token })).status, 200);
+  });
+
+  it("rotates refresh tokens and revokes the session on logout", async () => {
+    const { body: session } = await api.request("POST", "/api/admin/login", {
+      body: { email: "admin@example.com", password: "test-password" },
+    });
+
+    const refreshed = await api.request("POST", "/api/admin/refresh", {
+      body: { refreshToken: session.refreshToken },
+    });
+    assert.equal(refreshed.status, 200);
+    const replayed = await api.request("POST", "/api/admin/refresh", {
+      body: { refreshToken: session.refreshToken },
+    });
+    assert.equal(replayed.status, 401);
+
+    const { token } = refreshed.body;
+    assert.equal((await api.request("POST", "/api/admin/logout", { token })).status, 200);
+    assert.equal((await api.request("GET", "/api/admin/posts", { token })).status, 401);
+  });
+
+  it("limits roles to their permissions", async () => {
+    const token = await api.login();
+    const created = await api.request("POST", "/api/admin/users", {
+      token,
+      body: { email: "author@example.com", password: "author-password", role: "author" },
+    });
+    assert.equal(created.status, 200);
+
+    const authorToken = await api.login("author@example.com", "author-password");
+    const draft = await api.request("POST", "/api/admin/posts", {
+      token: authorToken,
+      body: { title: "Author draft", slug: "author-draft" },
+    });
+    assert.equal(draft.status, 200);
+
+    const publish = await api.request("POST", `/api/admin/posts/${draft.body.id}/publish`, {
+      token: authorToken,
+    });
+    assert.equal(publish.status, 403);
+    assert.equal(
+      (await api.request("GET", "/api/admin/users", { token: authorToken })).status,
+      403
+    );
+  });
+});
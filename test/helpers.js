@@ -0,0 +1,68 @@
+// Boots the real app on the in-memory storage backend (see storage/memory.js) on a random port.
+// Each test file runs in its own process under `node --test`, so every file starts with an
+// empty database.
+import crypto from "crypto";
+import { once } from "events";
+
+Object.assign(process.env, {
+  STORAGE_BACKEND: "memory",
+  MAIL_TRANSPORT: "console",
+  LOG_LEVEL: "error",
+  ADMIN_EMAIL: "admin@example.com",
+  ADMIN_PASSWORD: "test-password",
+  ADMIN_TOKEN: "test-secret",
+  SUBSCRIPTION_SECRET: "test-secret",
+  FORM_MIN_SUBMIT_MS: "1",
+  FORM_RATE_LIMIT_IP: "100",
+});
+
+const { default: app } = await import("../index.js");
+
+export const ADMIN_EMAIL = process.env.ADMIN_EMAIL;
+export const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+
+export const startServer = async () => {
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Returns `{ status, headers, body }`, with `body` parsed when the response is JSON.
+  const request = async (method, pathname, { body, token, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${pathname}`, {
+      method,
+      redirect: "manual",
+      headers: {
+        ...(body !== undefined ? { "content-type": "application/json" } : {}),
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get("content-type") || "").includes("application/json");
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson ? JSON.parse(text) : text,
+    };
+  };
+
+  const login = async (email = ADMIN_EMAIL, password = ADMIN_PASSWORD) => {
+    const { status, body } = await request("POST", "/api/admin/login", {
+      body: { email, password },
+    });
+    if (status !== 200) throw new Error(`Login failed for ${email}: ${status}`);
+    return body.token;
+  };
+
+  const close = () => new Promise((resolve) => server.close(resolve));
+
+  return { baseUrl, request, login, close };
+};
+
+// Mirrors signToken in index.js, for links that only ever reach the user by email.
+export const signTestToken = (payload, secret = process.env.ADMIN_TOKEN) => {
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  const signature = crypto.createHmac("sha256", secret).update(body).digest("base64url");
+  return `${body}.${signature}`;
+};
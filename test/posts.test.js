@@ -0,0 +1,137 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+describe("post visibility", () => {
+  let api;
+  let token;
+  before(async () => {
+    api = await startServer();
+    token = await api.login();
+  });
+  after(() => api.close());
+
+  const createPost = (body) => api.request("POST", "/api/admin/posts", { token, body });
+  const publicSlugs = async () =>
+    (await api.request("GET", "/api/posts")).body.posts.map((post) => post.slug);
+
+  it("hides drafts and serves published posts", async () => {
+    await createPost({ title: "Draft", slug: "draft-post", content: "Not yet" });
+    const published = await createPost({
+      title: "Live",
+      slug: "live-post",
+      content: "# Hello\n\n<script>alert(1)</script>Body",
+      status: "published",
+    });
+    assert.equal(published.status, 200);
+
+    assert.equal((await api.request("GET", "/api/posts/draft-post")).status, 404);
+    const live = await api.request("GET", "/api/posts/live-post");
+    assert.equal(live.status, 200);
+    assert.match(live.body.content_html, /<h1 id="hello">Hello<\/h1>/);
+    assert.doesNotMatch(live.body.content_html, /<script/);
+    assert.deepEqual(await publicSlugs(), ["live-post"]);
+  });
+
+  it("requires publish_at for scheduled posts", async () => {
+    const missing = await createPost({ title: "Soon", slug: "soon", status: "scheduled" });
+    assert.equal(missing.status, 400);
+    assert.deepEqual(
+      missing.body.fields.map((field) => field.field),
+      ["publish_at"]
+    );
+
+    const stray = await createPost({ title: "Soon", slug: "soon", publish_at: inOneHour() });
+    assert.equal(stray.status, 400);
+
+    const badDate = await createPost({
+      title: "Soon",
+      slug: "soon",
+      status: "scheduled",
+      publish_at: "March 5",
+    });
+    assert.equal(badDate.status, 400);
+  });
+
+  it("keeps scheduled posts private until they are due", async () => {
+    const scheduled = await createPost({
+      title: "Later",
+      slug: "later",
+      status: "scheduled",
+      publish_at: inOneHour(),
+    });
+    assert.equal(scheduled.status, 200);
+    assert.equal((await api.request("GET", "/api/posts/later")).status, 404);
+
+    const due = await api.request("PUT", `/api/admin/posts/${scheduled.body.id}`, {
+      token,
+      body: { publish_at: new Date(Date.now() - 1000).toISOString() },
+    });
+    assert.equal(due.status, 200);
+    assert.equal((await api.request("GET", "/api/posts/later")).status, 200);
+  });
+
+  it("rejects unknown tags without writing the post", async () => {
+    const body = {
+      title: "Tagged",
+      slug: "tagged",
+      tag_ids: ["00000000-0000-4000-8000-000000000000"],
+    };
+    assert.equal((await createPost(body)).status, 400);
+
+    const tag = await api.request("POST", "/api/admin/tags", { token, body: { name: "News" } });
+    const created = await createPost({ ...body, tag_ids: [tag.body.id] });
+    assert.equal(created.status, 200);
+    assert.deepEqual(
+      created.body.tags.map((item) => item.slug),
+      ["news"]
+    );
+  });
+
+  it("shares drafts through revocable preview links", async () => {
+    const draft = await createPost({ title: "Preview me", slug: "preview-me" });
+    const preview = await api.request("POST", `/api/admin/posts/${draft.body.id}/previews`, {
+      token,
+      body: {},
+    });
+    assert.equal(preview.status, 200);
+    assert.equal((await api.request("GET", preview.body.apiUrl)).status, 200);
+
+    await api.request("DELETE", `/api/admin/posts/${draft.body.id}/previews/${preview.body.id}`, {
+      token,
+    });
+    assert.equal((await api.request("GET", preview.body.apiUrl)).status, 404);
+  });
+
+  it("answers conditional requests with 304", async () => {
+    const first = await api.request("GET", "/api/posts");
+    const etag = first.headers.get("etag");
+    assert.ok(etag);
+
+    // fetch adds `Cache-Control: no-cache` to conditional requests unless one is given.
+    const again = await api.request("GET", "/api/posts", {
+      headers: { "if-none-match": etag, "cache-control": "max-age=0" },
+    });
+    assert.equal(again.status, 304);
+  });
+
+  it("ranks search hits before paging them", async () => {
+    await createPost({ title: "Notes", slug: "body-hit", content: "a zebra", status: "published" });
+    await createPost({ title: "Zebra", slug: "title-hit", content: "zebra", status: "published" });
+    await createPost({ title: "Zebra draft", slug: "draft-hit", content: "zebra" });
+
+    const { body } = await api.request("GET", "/api/search?q=zebra&type=post&limit=1");
+    assert.equal(body.total, 2);
+    assert.equal(body.totalPages, 2);
+    assert.deepEqual(
+      body.results.map((result) => result.slug),
+      ["title-hit"]
+    );
+    assert.match(body.results[0].titleHighlight, /<mark>Zebra<\/mark>/);
+
+    const admin = await api.request("GET", "/api/admin/posts?q=zebra", { token });
+    assert.equal(admin.body.total, 3);
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStorage } from "../storage/index.js";
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+describe("memory storage", () => {
+  it("lists only published or due posts publicly", async () => {
+    const { posts } = createMemoryStorage();
+    await posts.create({ slug: "live", status: "published" });
+    await posts.create({ slug: "draft", status: "draft" });
+    await posts.create({ slug: "due", status: "scheduled", publish_at: hoursFromNow(-1) });
+    await posts.create({ slug: "later", status: "scheduled", publish_at: hoursFromNow(1) });
+    await posts.create({ slug: "undated", status: "scheduled" });
+    await posts.create({ slug: "expired", status: "published", unpublish_at: hoursFromNow(-1) });
+
+    const { data } = await posts.listPublic({ columns: "slug" });
+    assert.deepEqual(data.map((post) => post.slug).sort(), ["due", "live"]);
+    assert.equal((await posts.findPublicBySlug("later")).data, null);
+  });
+
+  it("reports unique key clashes as Postgres does", async () => {
+    const { products } = createMemoryStorage();
+    await products.create({ name: "A", slug: "same" });
+    const { error } = await products.create({ name: "B", slug: "same" });
+    assert.equal(error.code, "23505");
+  });
+
+  it("matches contact emails exactly, ignoring case but not wildcards", async () => {
+    const { contacts } = createMemoryStorage();
+    await contacts.create({ email: "a_b@example.com" });
+    await contacts.create({ email: "A_B@example.com" });
+    await contacts.create({ email: "axb@example.com" });
+
+    const { data } = await contacts.listByEmail("a_b@example.com", { ignoreCase: true });
+    assert.equal(data.length, 2);
+    assert.equal((await contacts.listByEmail("%", { ignoreCase: true })).data.length, 0);
+
+    const { data: duplicates } = await contacts.findDuplicateEmails();
+    assert.deepEqual(
+      duplicates.map(({ email, count }) => ({ email, count })),
+      [{ email: "a_b@example.com", count: 2 }]
+    );
+  });
+});
@@ -0,0 +1,155 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "timers/promises";
+import { signTestToken, startServer } from "./helpers.js";
+
+const confirmUrl = (email) =>
+  `/api/subscribe/confirm?token=${signTestToken({
+    typ: "subscribe_confirm",
+    email,
+    exp: Math.floor(Date.now() / 1000) + 3600,
+  })}`;
+const unsubscribeUrl = (email) =>
+  `/api/unsubscribe?token=${signTestToken({ typ: "unsubscribe", email })}`;
+
+describe("subscriptions", () => {
+  let api;
+  let token;
+  before(async () => {
+    api = await startServer();
+    token = await api.login();
+  });
+  after(() => api.close());
+
+  const subscribe = async (email, extra = {}) => {
+    const start = await api.request("GET", "/api/forms/start");
+    await sleep(5);
+    return api.request("POST", "/api/subscribe", {
+      body: { email, [start.body.field]: start.body.token, ...extra },
+    });
+  };
+  const contactStatus = async (email) => {
+    const { body } = await api.request("GET", `/api/admin/contacts?q=${email}`, { token });
+    return body.contacts[0]?.subscription_status;
+  };
+
+  it("records a pending subscription until the link is confirmed", async () => {
+    const { status, body } = await subscribe("reader@example.com");
+    assert.equal(status, 200);
+    assert.equal(body.status, "pending");
+    assert.equal(await contactStatus("reader@example.com"), "pending");
+
+    assert.equal((await api.request("GET", confirmUrl("reader@example.com"))).status, 200);
+    assert.equal(await contactStatus("reader@example.com"), "subscribed");
+  });
+
+  it("rejects forged confirmation links", async () => {
+    const forged = signTestToken(
+      { typ: "subscribe_confirm", email: "victim@example.com" },
+      "guessed-secret"
+    );
+    const { status } = await api.request("GET", `/api/subscribe/confirm?token=${forged}`);
+    assert.equal(status, 400);
+  });
+
+  it("lets pending subscribers unsubscribe and voids their confirmation link", async () => {
+    await subscribe("undecided@example.com");
+    assert.equal((await api.request("GET", unsubscribeUrl("undecided@example.com"))).status, 200);
+    assert.equal(await contactStatus("undecided@example.com"), "unsubscribed");
+
+    assert.equal((await api.request("GET", confirmUrl("undecided@example.com"))).status, 400);
+    assert.equal(await contactStatus("undecided@example.com"), "unsubscribed");
+  });
+
+  it("keeps an unsubscribe newer than every subscribe when merging contacts", async () => {
+    for (const [attempt, email] of ["Mover@example.com", "mover@example.com"].entries()) {
+      await subscribe(email, { attempt });
+      await api.request("GET", confirmUrl(email));
+    }
+    await api.request("GET", unsubscribeUrl("mover@example.com"));
+
+    const { status, body } = await api.request("POST", "/api/admin/contacts/merge", {
+      token,
+      body: { email: "mover@example.com" },
+    });
+    assert.equal(status, 200);
+    assert.equal(body.mergedIds.length, 1);
+    assert.equal(body.contact.subscription_status, "unsubscribed");
+  });
+
+  it("accepts submissions from forms that do not send a start token yet", async () => {
+    const { status, body } = await api.request("POST", "/api/subscribe", {
+      body: { email: "legacy@example.com" },
+    });
+    assert.equal(status, 200);
+    assert.equal(body.status, "pending");
+  });
+
+  it("quarantines honeypot hits, forged start tokens and replayed start tokens", async () => {
+    await subscribe("bot@example.com", { website: "http://spam.example" });
+    const forged = signTestToken({ typ: "form_start", iat: 0 }, "guessed-secret");
+    await api.request("POST", "/api/subscribe", {
+      body: { email: "bot2@example.com", formStartToken: forged },
+    });
+    const start = await api.request("GET", "/api/forms/start");
+    await sleep(5);
+    for (const email of ["first@example.com", "bot3@example.com"]) {
+      await api.request("POST", "/api/subscribe", {
+        body: { email, [start.body.field]: start.body.token },
+      });
+    }
+
+    const { body } = await api.request("GET", "/api/admin/spam", { token });
+    assert.deepEqual(body.submissions.map((entry) => entry.reason).sort(), [
+      "duplicate",
+      "honeypot",
+      "invalid_start_token",
+    ]);
+    assert.equal(await contactStatus("first@example.com"), "pending");
+    assert.equal(await contactStatus("bot3@example.com"), undefined);
+  });
+
+  it("previews confirmation emails without a working link", async () => {
+    const { status, body } = await api.request(
+      "GET",
+      "/api/admin/email-templates/subscribe_confirmation/preview?format=text&email=victim@example.com",
+      { token }
+    );
+    assert.equal(status, 200);
+    assert.match(body, /\/api\/subscribe\/confirm\?token=preview$/m);
+  });
+
+  it("sends a newsletter once to each address however often it is claimed", async () => {
+    for (const [attempt, email] of ["Twice@example.com", "twice@example.com"].entries()) {
+      await subscribe(email, { attempt });
+      await api.request("GET", confirmUrl(email));
+    }
+    const { body: newsletter } = await api.request("POST", "/api/admin/newsletters", {
+      token,
+      body: { subject: "News", html: "<p>Hello</p>" },
+    });
+
+    const sends = await Promise.all(
+      [1, 2].map(() =>
+        api.request("POST", `/api/admin/newsletters/${newsletter.id}/send`, { token })
+      )
+    );
+    assert.deepEqual(sends.map(({ status }) => status).sort(), [202, 409]);
+
+    const { body } = await api.request(
+      "GET",
+      `/api/admin/newsletters/${newsletter.id}/deliveries?limit=50`,
+      { token }
+    );
+    const emails = body.deliveries.map((delivery) => delivery.email.toLowerCase());
+    assert.equal(emails.filter((email) => email === "twice@example.com").length, 1);
+  });
+
+  it("rate limits repeated submissions for one address", async () => {
+    const statuses = [];
+    for (let attempt = 0; attempt < 4; attempt += 1) {
+      statuses.push((await subscribe("busy@example.com", { attempt })).status);
+    }
+    assert.equal(statuses.at(-1), 429);
+  });
+});